@@ -0,0 +1,62 @@
+// Auth for the moderation endpoints. Requests send `Authorization: Bearer <password>` and
+// `X-Moderator: <name>`.
+//   MODERATORS="alice:<password>,bob:<password>" — each moderator has their own password, so the
+//                                                   name in the audit log is verified
+//   ADMIN_PASSWORD=<password>                     — one shared password; the name is whatever the
+//                                                   moderator typed and is marked unverified
+// MODERATORS wins when both are set.
+
+import crypto from "node:crypto";
+
+const sameSecret = (a, b) => {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+};
+
+// MODERATORS as a Map of lower-cased name → { name, password }. A password may contain ":".
+export function parseModerators(value) {
+  const out = new Map();
+  String(value || "")
+    .split(",")
+    .forEach((entry) => {
+      const at = entry.indexOf(":");
+      const name = entry.slice(0, at).trim();
+      const password = entry.slice(at + 1);
+      if (at > 0 && name && password) out.set(name.toLowerCase(), { name, password });
+    });
+  return out;
+}
+
+// Returns { name, verified } for the moderator, or null after sending a 401/400/503.
+export function requireModerator(req, res, env = process.env) {
+  const moderators = parseModerators(env.MODERATORS);
+  const shared = env.ADMIN_PASSWORD;
+  if (!moderators.size && !shared) {
+    res.status(503).json({ error: "Admin is disabled (set MODERATORS or ADMIN_PASSWORD)" });
+    return null;
+  }
+  const header = String(req.headers.authorization || "");
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  const who = String(req.headers["x-moderator"] || "").trim().slice(0, 80);
+  if (!who) {
+    res.status(400).json({ error: "Moderator name is required" });
+    return null;
+  }
+
+  if (moderators.size) {
+    const account = moderators.get(who.toLowerCase());
+    // Compare against something even for unknown names, so the timing doesn't tell which names exist.
+    if (!token || !sameSecret(token, account ? account.password : crypto.randomUUID()) || !account) {
+      res.status(401).json({ error: "Wrong name or password" });
+      return null;
+    }
+    return { name: account.name, verified: true };
+  }
+
+  if (!token || !sameSecret(token, shared)) {
+    res.status(401).json({ error: "Wrong password" });
+    return null;
+  }
+  return { name: who, verified: false };
+}
@@ -0,0 +1,66 @@
+// Files shipped with the site, read from disk by serverless functions: public/ (the CSV, the
+// category taxonomy and an optional resources.json), the logo manifest the build writes to dist/
+// and site.config.json. vercel.json includes them in every function bundle.
+
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { buildTaxonomy } from "../../src/taxonomy.js";
+
+export const PUBLIC_DIR = path.join(process.cwd(), "public");
+export const BUNDLED_CSV = path.join(PUBLIC_DIR, "resources.csv");
+export const BUNDLED_TAXONOMY = path.join(PUBLIC_DIR, "taxonomy.json");
+export const BUILT_LOGO_MANIFEST = path.join(process.cwd(), "dist", "logos", "manifest.json");
+export const SITE_CONFIG = path.join(process.cwd(), "site.config.json");
+
+export function readBundledCsv() {
+  return fsp.readFile(BUNDLED_CSV, "utf8");
+}
+
+// A site path such as "/resources.json" read from public/, or null when there is no such file.
+export async function readPublicFile(urlPath) {
+  const file = path.join(PUBLIC_DIR, path.normalize(urlPath.split("?")[0]));
+  if (!file.startsWith(PUBLIC_DIR + path.sep)) return null;
+  try {
+    return await fsp.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT" || e.code === "EISDIR") return null;
+    throw e;
+  }
+}
+
+// The indexed taxonomy, or null when there is none or it doesn't parse.
+export async function readBundledTaxonomy() {
+  try {
+    return buildTaxonomy(JSON.parse(await fsp.readFile(BUNDLED_TAXONOMY, "utf8")));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("taxonomy.json ignored:", e.message);
+    return null;
+  }
+}
+
+// The deployed build's logo manifest (plugins/logos.js), or null before the first build.
+export async function readBuiltLogoManifest() {
+  try {
+    const data = JSON.parse(await fsp.readFile(BUILT_LOGO_MANIFEST, "utf8"));
+    return data && typeof data.logos === "object" ? data : null;
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("logo manifest ignored:", e.message);
+    return null;
+  }
+}
+
+let siteUrl;
+
+// `url` from site.config.json, "" when it has none.
+export function readSiteUrl() {
+  if (siteUrl === undefined) {
+    try {
+      siteUrl = String(JSON.parse(fs.readFileSync(SITE_CONFIG, "utf8")).url || "");
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("site.config.json ignored:", e.message);
+      siteUrl = "";
+    }
+  }
+  return siteUrl;
+}
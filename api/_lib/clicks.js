@@ -0,0 +1,31 @@
+// Outbound-click counts in the store: one file per UTC day, clicks/<YYYY-MM-DD>.json → { [id]: n }.
+// Only the resource id and the day are kept.
+
+import { getStore } from "./store.js";
+
+export const POPULAR_DAYS = 30;
+export const TRENDING_DAYS = 7;
+
+const dayKey = (date) => `clicks/${date.toISOString().slice(0, 10)}.json`;
+
+export async function recordClick(id, now = new Date(), store = getStore()) {
+  await store.updateJson(dayKey(now), {}, (counts) => ({ ...counts, [id]: (counts[id] || 0) + 1 }));
+}
+
+// Per-day counts for the last `days` days, today included, newest first.
+export async function readDays(days, now = new Date(), store = getStore()) {
+  const dates = Array.from({ length: days }, (_, i) => new Date(now.getTime() - i * 86400000));
+  return Promise.all(dates.map((d) => store.readJson(dayKey(d), {})));
+}
+
+const sum = (list) => {
+  const total = {};
+  list.forEach((counts) => Object.entries(counts).forEach(([id, n]) => (total[id] = (total[id] || 0) + n)));
+  return total;
+};
+
+// { popular, trending }: clicks per id over the last 30 and 7 days.
+export async function clickStats(now = new Date(), store = getStore()) {
+  const days = await readDays(POPULAR_DAYS, now, store);
+  return { popular: sum(days), trending: sum(days.slice(0, TRENDING_DAYS)) };
+}
@@ -0,0 +1,33 @@
+// Serverless config, read from env vars (Vercel project settings or .env).
+
+const list = (v, fallback) =>
+  (v ?? fallback)
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+const int = (v, fallback) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// Suggestions accepted per client IP per window on /api/submit-resource.
+export function submitRateLimit(env = process.env) {
+  return {
+    limit: int(env.SUBMIT_RATE_LIMIT, 5),
+    windowMs: int(env.SUBMIT_RATE_WINDOW_MS, 60 * 60 * 1000),
+  };
+}
+
+export function sheetProxyConfig(env = process.env) {
+  return {
+    // Hosts the proxy may fetch from; "*.example.com" matches subdomains.
+    // Published Google Sheets redirect from docs.google.com to *.googleusercontent.com.
+    allowedHosts: list(env.SHEET_PROXY_ALLOWED_HOSTS, "docs.google.com,*.googleusercontent.com"),
+    maxBytes: int(env.SHEET_PROXY_MAX_BYTES, 2 * 1024 * 1024),
+    timeoutMs: int(env.SHEET_PROXY_TIMEOUT_MS, 8000),
+    maxRedirects: 3,
+    // Only for local testing against a stub upstream on 127.0.0.1.
+    allowPrivate: env.SHEET_PROXY_ALLOW_PRIVATE === "1",
+  };
+}
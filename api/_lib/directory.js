@@ -0,0 +1,142 @@
+// The directory as the public API serves it: the site's own loader (src/dataSources.js) run
+// against the deployment instead of over HTTP. Bundled files (CSV, JSON, taxonomy, logo manifest)
+// are read from disk and a remote sheet or JSON source is fetched with safeFetch, so nothing
+// depends on the request's Host header. Rows are grouped into projects and localized like the
+// site's cards. Also the response helpers the /api/resources and /api/categories handlers share.
+
+import crypto from "node:crypto";
+import { DATA_CONFIG, DataSourceError, loadDirectory as loadSiteDirectory } from "../../src/dataSources.js";
+import { groupProjects } from "../../src/projects.js";
+import { localizeRow } from "../../src/resources.js";
+import { readBuiltLogoManifest, readBundledTaxonomy, readPublicFile, readSiteUrl } from "./bundled.js";
+import { sheetProxyConfig } from "./config.js";
+import { safeFetch } from "./safeFetch.js";
+
+const CACHE_MS = 60 * 1000;
+let cached = null; // { at, rows, taxonomy, ids } for warm function instances
+
+// Site origin for absolute URLs: SITE_URL, else `url` in site.config.json. Never the request host.
+export function siteOrigin(env = process.env) {
+  const url = env.SITE_URL || readSiteUrl();
+  if (!url) throw new Error("Set SITE_URL or `url` in site.config.json.");
+  return url.replace(/\/+$/, "");
+}
+
+// DATA_CONFIG as the site's build sees it, with the sheet read directly rather than through the proxy.
+export function serverDataConfig(env = process.env) {
+  return {
+    ...DATA_CONFIG,
+    source: env.VITE_DATA_SOURCE || "csv",
+    sheetCsvUrl: env.VITE_SHEET_CSV_URL || "",
+    jsonUrl: env.VITE_RESOURCES_JSON_URL || "/resources.json",
+    proxyUrl: "",
+  };
+}
+
+// Site paths come from public/ on disk; other URLs go through safeFetch, limited to the sheet
+// proxy's hosts plus the host of a configured JSON source.
+export function serverIo(env = process.env) {
+  const config = sheetProxyConfig(env);
+  let jsonHost = "";
+  try {
+    jsonHost = new URL(env.VITE_RESOURCES_JSON_URL).hostname.toLowerCase();
+  } catch {}
+  const fetchConfig = { ...config, allowedHosts: jsonHost ? [...config.allowedHosts, jsonHost] : config.allowedHosts };
+
+  return {
+    async readText(url) {
+      if (url.startsWith("/")) {
+        const text = await readPublicFile(url);
+        if (text === null) throw new DataSourceError(`${url} is not in public/.`);
+        return text;
+      }
+      const r = await safeFetch(url, fetchConfig);
+      if (r.status < 200 || r.status >= 300) {
+        throw new DataSourceError(`${url} returned non-200 status: ${r.status}`, r.text.slice(0, 200));
+      }
+      return r.text;
+    },
+    readTaxonomy: () => readBundledTaxonomy(),
+    readLogoManifest: readBuiltLogoManifest,
+  };
+}
+
+// { rows, taxonomy, ids }: the rows with their logos, mapped onto the taxonomy (null when the
+// site has none), and the Set of their ids.
+export async function loadDirectory(env = process.env) {
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached;
+  const { rows, taxonomy } = await loadSiteDirectory(serverDataConfig(env), serverIo(env));
+  cached = { at: Date.now(), rows, taxonomy, ids: new Set(rows.map((r) => r.id)) };
+  return cached;
+}
+
+// The cards the site shows in `locale`: text from the sheet's language columns, projects merged.
+export const directoryCards = (rows, locale) => groupProjects(rows.map((r) => localizeRow(r, locale)));
+
+// ?lang= as the site reads it; English when absent.
+export const requestLocale = (req) => String(req.query.lang || "en").toLowerCase();
+
+const absolute = (url, origin) => {
+  if (!url) return null;
+  return /^https?:\/\//i.test(url) ? url : `${origin}${url.startsWith("/") ? "" : "/"}${url}`;
+};
+
+// What the API exposes for a resource. Hidden tags only feed search and stay internal.
+export function publicResource(r, origin) {
+  return {
+    id: r.id,
+    title: r.title,
+    url: r.link || null,
+    description: r.description,
+    categories: r.categories,
+    cardCategories: r.cardCategories,
+    added: r.added || null,
+    translations: r.translations || {},
+    channels: (r.channels || []).map(({ kind, label, url }) => ({ kind, label, url })),
+    logo: absolute(r.image, origin),
+    page: `${origin}/r/${encodeURIComponent(r.id)}`,
+  };
+}
+
+function cors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "If-None-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
+}
+
+// CORS preflight and method check. Returns false when the request has been answered.
+export function acceptGet(req, res) {
+  cors(res);
+  if (req.method === "OPTIONS") {
+    res.setHeader("Access-Control-Max-Age", "86400");
+    res.status(204).end();
+    return false;
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, OPTIONS");
+    res.status(405).json({ error: "Method not allowed" });
+    return false;
+  }
+  return true;
+}
+
+// JSON with an ETag over the body, answering 304 when the client already has it.
+export function sendJson(req, res, status, data) {
+  const body = JSON.stringify(data);
+  const etag = `"${crypto.createHash("sha1").update(body).digest("base64url").slice(0, 27)}"`;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("ETag", etag);
+  res.setHeader(
+    "Cache-Control",
+    status === 200 ? "public, max-age=60, s-maxage=300, stale-while-revalidate=86400" : "public, max-age=60"
+  );
+  const match = String(req.headers["if-none-match"] || "")
+    .split(",")
+    .map((t) => t.trim().replace(/^W\//, ""));
+  if (status === 200 && match.includes(etag)) {
+    res.status(304).end();
+    return;
+  }
+  res.status(status).send(req.method === "HEAD" ? "" : body);
+}
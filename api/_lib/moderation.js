@@ -0,0 +1,289 @@
+// Moderation workspace: a draft copy of resources.csv that moderators edit, plus the audit log.
+// The draft keeps raw records keyed by the CSV's own header names, so the exported CSV
+// has the same columns (and column names) as the file it started from.
+//   draft.json — { fields: [header…], records: [{ _rid, [header]: value }] }
+//   audit.json — [{ at, who, verified, action, target, details }]
+// `verified` is false when the name was typed in next to the shared password (see auth.js).
+// Actions check their values with the loader's rules (src/validation.js) and change nothing when
+// they fail; each file is updated through the store's updateJson.
+
+import crypto from "node:crypto";
+import Papa from "papaparse";
+import { COLUMNS, normalizeRow, resolveColumns, uniqueIds } from "../../src/resources.js";
+import { validateResource, validateSubmission } from "../../src/validation.js";
+import { readBundledCsv } from "./bundled.js";
+import { updateSubmission } from "./submissions.js";
+import { getStore } from "./store.js";
+
+const DRAFT = "draft.json";
+const AUDIT = "audit.json";
+
+export const EDITABLE = [
+  "id",
+  "title",
+  "link",
+  "description",
+  "categories",
+  "cardCategories",
+  "hiddenTags",
+  "logoUrl",
+  "added",
+  "project",
+];
+const LIST_KEYS = new Set(["categories", "cardCategories", "hiddenTags"]);
+const SUBMISSION_EDITABLE = ["title", "link", "description", "categories", "newCategories", "cardCategories"];
+const SUBMISSION_LISTS = new Set(["categories", "newCategories", "cardCategories"]);
+
+export class ModerationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ModerationError";
+    this.status = status;
+  }
+}
+
+const newRid = () => crypto.randomUUID();
+
+async function seedDraft() {
+  const parsed = Papa.parse(await readBundledCsv(), { header: true, skipEmptyLines: true });
+  return {
+    fields: parsed.meta.fields || [],
+    records: parsed.data.map((r) => ({ _rid: newRid(), ...r })),
+  };
+}
+
+export async function loadDraft(store = getStore()) {
+  const saved = await store.readJson(DRAFT, null);
+  if (saved) return saved;
+  // Seed from the bundled CSV and save right away so record ids stay stable between requests.
+  return store.updateJson(DRAFT, null, async (current) => current || seedDraft());
+}
+
+// Rows as the directory would show them, each with its draft record id (`rid`).
+export function draftRows(draft) {
+  const cols = resolveColumns(draft.fields, COLUMNS);
+  return uniqueIds(draft.records.map((rec, i) => normalizeRow(rec, cols, i))).map((r, i) => ({
+    ...r,
+    rid: draft.records[i]._rid,
+  }));
+}
+
+// Header used for a normalized key; adds the column (first candidate name) when the CSV lacks it.
+function headerFor(draft, key) {
+  const cols = resolveColumns(draft.fields, COLUMNS);
+  if (cols[key]) return cols[key];
+  const header = COLUMNS[key][0];
+  draft.fields.push(header);
+  return header;
+}
+
+const splitCell = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(/[;,]/)).map((v) => String(v).trim()).filter(Boolean);
+
+// CSV cell text for a normalized key: lists are written "a, b, c" like the rest of the sheet.
+const cellValue = (key, value) => (LIST_KEYS.has(key) ? splitCell(value).join(", ") : String(value ?? "").trim());
+
+function findRecord(draft, rid) {
+  const rec = draft.records.find((r) => r._rid === rid);
+  if (!rec) throw new ModerationError(`No resource ${rid}`, 404);
+  return rec;
+}
+
+// Runs update(sub) on a pending submission and saves it. Throws when there is none.
+async function reviewSubmission(id, update, store) {
+  const sub = await updateSubmission(
+    id,
+    (s) => {
+      if (s.status !== "pending") throw new ModerationError(`Submission is already ${s.status}`, 409);
+      return update(s);
+    },
+    store
+  );
+  if (!sub) throw new ModerationError(`No submission ${id}`, 404);
+  return sub;
+}
+
+// Throws unless `changes` is { key: value } with editable keys, strings for text fields and lists
+// of strings for list fields.
+function checkChanges(changes, editable, lists) {
+  if (changes === undefined) return;
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new ModerationError("changes must be an object");
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    if (!editable.includes(key)) throw new ModerationError(`Field "${key}" can't be edited`);
+    const ok = lists.has(key) ? Array.isArray(value) && value.every((v) => typeof v === "string") : typeof value === "string";
+    if (!ok) throw new ModerationError(`Field "${key}" must be ${lists.has(key) ? "a list of strings" : "a string"}`);
+  }
+}
+
+function rejectProblems(problems) {
+  if (problems.length) throw new ModerationError(problems.map((p) => p.message).join("; "));
+}
+
+// The loader's problems with a draft record, limited to `fields` when given.
+function recordProblems(draft, rec, fields = null) {
+  const problems = validateResource(normalizeRow(rec, resolveColumns(draft.fields, COLUMNS), 0));
+  return fields ? problems.filter((p) => fields.includes(p.field)) : problems;
+}
+
+// Apply { key: value } changes (normalized keys) to a draft record. Returns what changed.
+export function applyChanges(draft, rec, changes) {
+  checkChanges(changes, EDITABLE, LIST_KEYS);
+  const diff = {};
+  for (const [key, value] of Object.entries(changes || {})) {
+    const header = headerFor(draft, key);
+    const next = cellValue(key, value);
+    if ((rec[header] || "") !== next) {
+      diff[key] = { from: rec[header] || "", to: next };
+      rec[header] = next;
+    }
+  }
+  return diff;
+}
+
+export async function appendAudit(entry, store = getStore()) {
+  await store.updateJson(AUDIT, [], (log) => [...log, { at: new Date().toISOString(), ...entry }]);
+}
+
+export const readAudit = (store = getStore()) => store.readJson(AUDIT, []);
+
+// Runs one moderation action for `moderator` ({ name, verified }, see auth.js) and records it in
+// the audit log.
+export async function runAction(moderator, action, payload, store = getStore()) {
+  let target = payload.id || payload.rid || null;
+  let details = {};
+  await store.updateJson(DRAFT, null, async (saved) => {
+    const draft = saved || (await seedDraft());
+    ({ target, details } = await applyAction(draft, moderator.name, action, payload, target, store));
+    return draft;
+  });
+  await appendAudit({ who: moderator.name, verified: moderator.verified, action, target, details }, store);
+}
+
+async function applyAction(draft, who, action, payload, target, store) {
+  let details = {};
+  switch (action) {
+    case "approve": {
+      const sub = await reviewSubmission(
+        payload.id,
+        (s) => {
+          // Edits made in the queue card may include its proposed new categories, which join the categories.
+          checkChanges(payload.changes, [...EDITABLE, "newCategories"], new Set([...LIST_KEYS, "newCategories"]));
+          const { newCategories = s.newCategories || [], ...edits } = payload.changes || {};
+          const rec = { _rid: newRid() };
+          applyChanges(draft, rec, {
+            title: s.title,
+            link: s.link,
+            description: s.description,
+            cardCategories: s.cardCategories || [],
+            added: new Date().toISOString().slice(0, 10),
+            ...edits,
+            categories: [...(edits.categories || s.categories || []), ...newCategories],
+          });
+          rejectProblems(recordProblems(draft, rec));
+          draft.records.push(rec);
+          s.status = "approved";
+          s.reviewedBy = who;
+          s.reviewedAt = new Date().toISOString();
+          s.resourceRid = rec._rid;
+        },
+        store
+      );
+      details = { title: sub.title, logo: sub.logo };
+      break;
+    }
+    case "reject": {
+      const sub = await reviewSubmission(
+        payload.id,
+        (s) => {
+          s.status = "rejected";
+          s.reason = String(payload.reason || "").slice(0, 500);
+          s.reviewedBy = who;
+          s.reviewedAt = new Date().toISOString();
+        },
+        store
+      );
+      details = { title: sub.title, reason: sub.reason };
+      break;
+    }
+    case "edit-submission": {
+      const sub = await updateSubmission(
+        payload.id,
+        (s) => {
+          checkChanges(payload.changes, SUBMISSION_EDITABLE, SUBMISSION_LISTS);
+          const changes = Object.fromEntries(
+            Object.entries(payload.changes || {}).map(([k, v]) => [k, SUBMISSION_LISTS.has(k) ? v.map((x) => x.trim()).filter(Boolean) : v.trim()])
+          );
+          rejectProblems(validateSubmission({ ...s, ...changes, logo: null }));
+          for (const [key, value] of Object.entries(changes)) {
+            details[key] = { from: s[key], to: value };
+            s[key] = value;
+          }
+        },
+        store
+      );
+      if (!sub) throw new ModerationError(`No submission ${payload.id}`, 404);
+      break;
+    }
+    case "edit": {
+      // Only the edited fields have to pass, so older rows with other gaps can still be fixed one field at a time.
+      const rec = findRecord(draft, payload.rid);
+      const edited = { ...rec };
+      details = applyChanges(draft, edited, payload.changes);
+      rejectProblems(recordProblems(draft, edited, Object.keys(payload.changes || {})));
+      Object.assign(rec, edited);
+      break;
+    }
+    case "merge": {
+      // Keep `rid`, fold `dropRid` into it: empty cells are filled, list cells are unioned.
+      const keep = findRecord(draft, payload.rid);
+      const drop = findRecord(draft, payload.dropRid);
+      if (keep === drop) throw new ModerationError("Can't merge a resource into itself");
+      const cols = resolveColumns(draft.fields, COLUMNS);
+      const listHeaders = new Set([...LIST_KEYS].map((k) => cols[k]).filter(Boolean));
+      for (const h of draft.fields) {
+        if (listHeaders.has(h)) {
+          keep[h] = [...new Set([...splitCell(keep[h]), ...splitCell(drop[h])])].join(", ");
+        } else if (!String(keep[h] || "").trim() && drop[h]) {
+          keep[h] = drop[h];
+        }
+      }
+      draft.records = draft.records.filter((r) => r !== drop);
+      details = { merged: drop[cols.title] || payload.dropRid };
+      break;
+    }
+    case "reorder": {
+      // `rids` lists records in their new order; any left out keep their relative order at the end.
+      const order = new Map((payload.rids || []).map((rid, i) => [rid, i]));
+      const pos = (r, i) => (order.has(r._rid) ? order.get(r._rid) : order.size + i);
+      draft.records = draft.records
+        .map((r, i) => ({ r, p: pos(r, i) }))
+        .sort((a, b) => a.p - b.p)
+        .map((x) => x.r);
+      target = null;
+      details = { count: order.size };
+      break;
+    }
+    default:
+      throw new ModerationError(`Unknown action "${action}"`);
+  }
+  return { target, details };
+}
+
+// For the spreadsheet download, a cell a spreadsheet would run as a formula ("=HYPERLINK(…)", "+1",
+// "@SUM", …) gets a leading apostrophe, so opening it never executes text a submitter wrote.
+const safeCell = (value) => {
+  const text = String(value ?? "");
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+};
+
+// The draft as resources.csv, byte for byte what the site reads back. `spreadsheet` defuses
+// formulas instead; that copy isn't meant to be committed.
+export function exportCsv(draft, { spreadsheet = false } = {}) {
+  const cell = spreadsheet ? safeCell : (value) => String(value ?? "");
+  return Papa.unparse({
+    fields: draft.fields,
+    data: draft.records.map((r) => draft.fields.map((f) => cell(r[f]))),
+  });
+}
@@ -0,0 +1,37 @@
+// Per-client request limits kept in the store, so every function instance sees the same counts.
+// Clients are keyed by a hash of their IP; only the hash and recent request times are kept.
+//   rate-limits/<bucket>.json → { [hash]: [timestamp…] }
+
+import crypto from "node:crypto";
+import { getStore } from "./store.js";
+
+// The caller's IP as Vercel reports it (the first X-Forwarded-For hop), else the socket's.
+export function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return String(req.headers["x-real-ip"] || forwarded || req.socket?.remoteAddress || "unknown");
+}
+
+const clientKey = (ip) => crypto.createHash("sha256").update(`rate-limit:${ip}`).digest("base64url").slice(0, 22);
+
+// Counts one request for `ip` in `bucket`. Resolves to { allowed, retryAfter } (seconds until
+// the oldest request in the window expires, 0 when allowed).
+export async function takeRequest(bucket, ip, { limit, windowMs }, now = Date.now(), store = getStore()) {
+  const key = clientKey(ip);
+  let result;
+  await store.updateJson(`rate-limits/${bucket}.json`, {}, (clients) => {
+    const next = {};
+    for (const [k, times] of Object.entries(clients)) {
+      const recent = times.filter((t) => now - t < windowMs);
+      if (recent.length) next[k] = recent;
+    }
+    const times = next[key] || [];
+    if (times.length >= limit) {
+      result = { allowed: false, retryAfter: Math.ceil((times[0] + windowMs - now) / 1000) };
+    } else {
+      next[key] = [...times, now];
+      result = { allowed: true, retryAfter: 0 };
+    }
+    return next;
+  });
+  return result;
+}
@@ -0,0 +1,181 @@
+// Fetch helper for untrusted URLs: host allowlist, no private/loopback targets,
+// redirects re-checked hop by hop, a timeout and a response size cap.
+// Each connection is made to the address that was checked: the hostname is resolved once, inside
+// the socket's own lookup, so a DNS-rebinding host can't pass the check with a public address and
+// then be reached on 127.0.0.1 or 169.254.169.254.
+
+import dns from "node:dns/promises";
+import net from "node:net";
+import { Agent, fetch } from "undici";
+
+export class FetchRejected extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "FetchRejected";
+    this.status = status;
+  }
+}
+
+export function hostAllowed(host, allowedHosts) {
+  const h = String(host || "").toLowerCase();
+  return allowedHosts.some((pattern) =>
+    pattern.startsWith("*.") ? h.endsWith(pattern.slice(1)) && h.length > pattern.length - 1 : h === pattern
+  );
+}
+
+// An IPv6 address as its eight 16-bit groups ("::ffff:1.2.3.4" and "::ffff:102:304" alike).
+function ipv6Groups(ip) {
+  let v = ip.toLowerCase().replace(/%.*$/, "");
+  const dotted = v.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    v = `${v.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = v.split("::");
+  const part = (s) => (s ? s.split(":").map((g) => parseInt(g, 16)) : []);
+  const start = part(head);
+  const end = tail === undefined ? [] : part(tail);
+  return [...start, ...Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+const ipv4Of = (hi, lo) => [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+
+// True for loopback, private, link-local, CGNAT, multicast and other non-public ranges. IPv6
+// addresses that carry an IPv4 one (mapped, compatible, NAT64, 6to4) are judged by that address.
+export function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split(".").map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224
+    );
+  }
+  if (net.isIPv6(ip.replace(/%.*$/, ""))) {
+    const g = ipv6Groups(ip);
+    const zeros = (from, to) => g.slice(from, to).every((x) => x === 0);
+    // ::, ::1 and ::a.b.c.d (IPv4-compatible), ::ffff:a.b.c.d (mapped), ::ffff:0:a.b.c.d
+    // (translated) and 64:ff9b::a.b.c.d (NAT64).
+    if (
+      zeros(0, 6) ||
+      (zeros(0, 5) && g[5] === 0xffff) ||
+      (zeros(0, 4) && g[4] === 0xffff && g[5] === 0) ||
+      (g[0] === 0x64 && g[1] === 0xff9b && zeros(2, 6))
+    ) {
+      return zeros(0, 7) && g[7] <= 1 ? true : isPrivateAddress(ipv4Of(g[6], g[7]));
+    }
+    // 6to4: 2002:aabb:ccdd::/48 carries aa.bb.cc.dd.
+    if (g[0] === 0x2002) return isPrivateAddress(ipv4Of(g[1], g[2]));
+    return (
+      (g[0] === 0x64 && g[1] === 0xff9b && g[2] === 1) || // local-use NAT64, 64:ff9b:1::/48
+      (g[0] === 0x2001 && g[1] === 0) || // Teredo, whose IPv4 is obscured
+      (g[0] === 0x2001 && g[1] === 0xdb8) || // documentation
+      (g[0] & 0xfe00) === 0xfc00 || // unique local
+      (g[0] & 0xffc0) === 0xfe80 || // link-local
+      (g[0] & 0xffc0) === 0xfec0 || // old site-local
+      (g[0] & 0xff00) === 0xff00 // multicast
+    );
+  }
+  return true;
+}
+
+// The addresses a connection to `hostname` may use: all of them public unless `allowPrivate`.
+// `config.lookup` (like dns.promises.lookup with { all: true }) is there for tests.
+async function vettedAddresses(hostname, { allowPrivate, lookup = dns.lookup }) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addrs = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await lookup(host, { all: true }).catch(() => []);
+  if (!addrs.length) throw new FetchRejected(`Could not resolve ${hostname}`, 502);
+  if (!allowPrivate && addrs.some((a) => isPrivateAddress(a.address))) {
+    throw new FetchRejected("Upstream address not allowed", 403);
+  }
+  return addrs;
+}
+
+// A dispatcher whose sockets connect only to vetted addresses, for every hop of a redirect chain.
+function vettedAgent(config) {
+  const lookup = (hostname, options, callback) => {
+    vettedAddresses(hostname, config).then(
+      (addrs) => (options.all ? callback(null, addrs) : callback(null, addrs[0].address, addrs[0].family)),
+      callback
+    );
+  };
+  return new Agent({ connect: { lookup } });
+}
+
+function checkUrl(raw, config) {
+  let u;
+  try {
+    u = new URL(raw);
+  } catch {
+    throw new FetchRejected("Invalid url");
+  }
+  if (u.protocol !== "https:" && !(config.allowPrivate && u.protocol === "http:")) {
+    throw new FetchRejected("Only https upstreams are allowed");
+  }
+  if (u.username || u.password) throw new FetchRejected("Credentials in url are not allowed");
+  if (!hostAllowed(u.hostname, config.allowedHosts)) throw new FetchRejected(`Host ${u.hostname} is not allowed`, 403);
+  return u;
+}
+
+// IP literals never reach the socket's lookup, so they are checked here instead.
+async function checkLiteral(url, config) {
+  if (net.isIP(url.hostname.replace(/^\[|\]$/g, ""))) await vettedAddresses(url.hostname, config);
+}
+
+async function readLimited(res, maxBytes) {
+  const declared = Number(res.headers.get("content-length"));
+  if (declared && declared > maxBytes) throw new FetchRejected("Upstream response too large", 502);
+  // No body at all (204, or a bodiless reply) reads as empty.
+  if (!res.body) return "";
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw new FetchRejected("Upstream response too large", 502);
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Returns { status, contentType, text }. Throws FetchRejected for anything the config forbids.
+export async function safeFetch(raw, config) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+  const dispatcher = vettedAgent(config);
+  try {
+    let url = checkUrl(raw, config);
+    for (let hop = 0; ; hop++) {
+      await checkLiteral(url, config);
+      const res = await fetch(url, { redirect: "manual", signal: controller.signal, cache: "no-store", dispatcher });
+      if (res.status >= 300 && res.status < 400 && res.headers.get("location")) {
+        if (hop >= config.maxRedirects) throw new FetchRejected("Too many redirects", 502);
+        url = checkUrl(new URL(res.headers.get("location"), url).toString(), config);
+        continue;
+      }
+      const text = await readLimited(res, config.maxBytes);
+      return { status: res.status, contentType: res.headers.get("content-type") || "", text };
+    }
+  } catch (e) {
+    if (e.name === "AbortError") throw new FetchRejected("Upstream timed out", 504);
+    // A rejected address surfaces from the socket's lookup as the cause of fetch's TypeError.
+    if (e.cause instanceof FetchRejected) throw e.cause;
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    dispatcher.destroy().catch(() => {});
+  }
+}
@@ -0,0 +1,145 @@
+// Pluggable key/value store for serverless endpoints.
+//   STORE_DRIVER=file (default) — JSON/binary files under STORE_DIR (default ./.data)
+//   STORE_DRIVER=memory         — in-process only, for tests and local experiments
+// A store exposes: readJson(key, fallback), writeJson(key, value), writeFile(key, buffer), readFile(key)
+// and updateJson(key, fallback, update), which writes update(current) with no other update to that
+// key in between and resolves to the new value. Counters and lists use it instead of read + write.
+// Vercel's filesystem is read-only outside /tmp, so production needs STORE_DIR=/tmp/… or another driver.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const LOCK_WAIT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs each task for a key once the previous one for that key has settled.
+function keyQueue() {
+  const tails = new Map();
+  return (key, task) => {
+    const run = (tails.get(key) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => tails.get(key) === tail && tails.delete(key));
+    return run;
+  };
+}
+
+// A lock file next to `p`, so processes sharing STORE_DIR don't interleave either. A lock older
+// than LOCK_STALE_MS is left over from a crash and taken over.
+async function withLockFile(p, task) {
+  const lock = `${p}.lock`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      await (await fs.open(lock, "wx")).close();
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      const stat = await fs.stat(lock).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) await fs.rm(lock, { force: true });
+      else if (Date.now() > deadline) throw new Error(`Store key is locked: ${path.basename(p)}`);
+      else await sleep(20);
+    }
+  }
+  try {
+    return await task();
+  } finally {
+    await fs.rm(lock, { force: true });
+  }
+}
+
+function fileStore(dir) {
+  const queue = keyQueue();
+  const resolve = (key) => {
+    const p = path.resolve(dir, key);
+    if (!p.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Invalid store key: ${key}`);
+    return p;
+  };
+  return {
+    async readJson(key, fallback) {
+      try {
+        return JSON.parse(await fs.readFile(resolve(key), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return fallback;
+        throw e;
+      }
+    },
+    async writeJson(key, value) {
+      const p = resolve(key);
+      await fs.mkdir(path.dirname(p), { recursive: true });
+      // Write then rename, so a crash never leaves half a JSON file behind.
+      await fs.writeFile(`${p}.tmp`, JSON.stringify(value, null, 2));
+      await fs.rename(`${p}.tmp`, p);
+    },
+    updateJson(key, fallback, update) {
+      const p = resolve(key);
+      return queue(key, async () => {
+        await fs.mkdir(path.dirname(p), { recursive: true });
+        return withLockFile(p, async () => {
+          const next = await update(await this.readJson(key, fallback));
+          await this.writeJson(key, next);
+          return next;
+        });
+      });
+    },
+    async writeFile(key, buffer) {
+      const p = resolve(key);
+      await fs.mkdir(path.dirname(p), { recursive: true });
+      await fs.writeFile(p, buffer);
+    },
+    async readFile(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+  };
+}
+
+function memoryStore() {
+  const data = new Map();
+  const queue = keyQueue();
+  return {
+    async readJson(key, fallback) {
+      return data.has(key) ? JSON.parse(data.get(key)) : fallback;
+    },
+    async writeJson(key, value) {
+      data.set(key, JSON.stringify(value));
+    },
+    updateJson(key, fallback, update) {
+      return queue(key, async () => {
+        const next = await update(await this.readJson(key, fallback));
+        await this.writeJson(key, next);
+        return next;
+      });
+    },
+    async writeFile(key, buffer) {
+      data.set(key, Buffer.from(buffer));
+    },
+    async readFile(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+  };
+}
+
+const drivers = { file: () => fileStore(process.env.STORE_DIR || path.join(process.cwd(), ".data")), memory: memoryStore };
+
+let instance = null;
+
+export function getStore() {
+  if (!instance) {
+    const name = process.env.STORE_DRIVER || "file";
+    if (!drivers[name]) throw new Error(`Unknown STORE_DRIVER "${name}"`);
+    instance = drivers[name]();
+  }
+  return instance;
+}
+
+// Swap the store (e.g. a memory store in tests, or a custom driver).
+export function setStore(store) {
+  instance = store;
+}
@@ -0,0 +1,49 @@
+// Moderation queue for community submissions, kept in the store under submissions.json.
+// Uploaded logos are stored next to it as submissions/<id>.<ext>. Every change to the queue goes
+// through the store's updateJson, so simultaneous submissions and reviews don't drop each other.
+
+import crypto from "node:crypto";
+import { getStore } from "./store.js";
+
+const KEY = "submissions.json";
+const LOGO_EXT = { "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp", "image/gif": "gif" };
+
+export const logoKey = (id, type) => `submissions/${id}.${LOGO_EXT[type] || "bin"}`;
+
+export async function listSubmissions(store = getStore()) {
+  return store.readJson(KEY, []);
+}
+
+// Applies update(submission) to one queued submission and saves the queue. `update` may throw to
+// leave the queue as it was. Resolves to the updated submission, or null when there is no such id.
+export async function updateSubmission(id, update, store = getStore()) {
+  let found = null;
+  await store.updateJson(KEY, [], async (list) => {
+    const sub = list.find((s) => s.id === id);
+    if (sub) {
+      await update(sub);
+      found = sub;
+    }
+    return list;
+  });
+  return found;
+}
+
+// `logo` is { type, buffer } or null. Returns the stored submission.
+export async function addSubmission(fields, logo, store = getStore()) {
+  const id = crypto.randomUUID();
+  let logoPath = null;
+  if (logo) {
+    logoPath = logoKey(id, logo.type);
+    await store.writeFile(logoPath, logo.buffer);
+  }
+  const submission = {
+    id,
+    status: "pending",
+    submittedAt: new Date().toISOString(),
+    ...fields,
+    logo: logoPath,
+  };
+  await store.updateJson(KEY, [], (list) => [...list, submission]);
+  return submission;
+}
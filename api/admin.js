@@ -0,0 +1,80 @@
+// /api/admin.js — moderation endpoint behind MODERATORS or ADMIN_PASSWORD (see api/_lib/auth.js).
+//   GET  ?view=state          → { moderator, submissions, resources, fields, audit }
+//   GET  ?view=export         → the draft as resources.csv (original header names)
+//   GET  ?view=export&for=spreadsheet → the same with formula-like cells defused
+//   GET  ?view=logo&id=<sub>  → a submission's uploaded logo
+//   POST { action, ... }      → approve | reject | edit-submission | edit | merge | reorder; returns state
+// Every POST is written to the audit log with the moderator's name and whether it was verified.
+import { requireModerator } from "./_lib/auth.js";
+import { ModerationError, draftRows, exportCsv, loadDraft, readAudit, runAction } from "./_lib/moderation.js";
+import { getStore } from "./_lib/store.js";
+import { listSubmissions } from "./_lib/submissions.js";
+
+const LOGO_TYPES = { png: "image/png", jpg: "image/jpeg", webp: "image/webp", gif: "image/gif" };
+
+async function state(moderator) {
+  const draft = await loadDraft();
+  const [submissions, audit] = await Promise.all([listSubmissions(), readAudit()]);
+  return {
+    moderator,
+    submissions: submissions.slice().reverse(),
+    resources: draftRows(draft),
+    fields: draft.fields,
+    audit: audit.slice(-200).reverse(),
+  };
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+  const moderator = requireModerator(req, res);
+  if (!moderator) return;
+
+  try {
+    if (req.method === "GET") {
+      const view = req.query.view || "state";
+      if (view === "export") {
+        const spreadsheet = req.query.for === "spreadsheet";
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${spreadsheet ? "resources-spreadsheet.csv" : "resources.csv"}"`);
+        res.status(200).send(exportCsv(await loadDraft(), { spreadsheet }));
+        return;
+      }
+      if (view === "logo") {
+        const sub = (await listSubmissions()).find((s) => s.id === req.query.id);
+        const data = sub && sub.logo ? await getStore().readFile(sub.logo) : null;
+        if (!data) {
+          res.status(404).json({ error: "No logo" });
+          return;
+        }
+        res.setHeader("Content-Type", LOGO_TYPES[sub.logo.split(".").pop()] || "application/octet-stream");
+        res.setHeader("Content-Disposition", `attachment; filename="${sub.logo.split("/").pop()}"`);
+        res.status(200).send(data);
+        return;
+      }
+      res.status(200).json(await state(moderator));
+      return;
+    }
+
+    if (req.method === "POST") {
+      const body = typeof req.body === "string" ? JSON.parse(req.body || "{}") : req.body || {};
+      const { action, ...payload } = body;
+      await runAction(moderator, action, payload);
+      res.status(200).json(await state(moderator));
+      return;
+    }
+
+    res.setHeader("Allow", "GET, POST");
+    res.status(405).json({ error: "Method not allowed" });
+  } catch (e) {
+    if (e instanceof ModerationError) {
+      res.status(e.status).json({ error: e.message });
+      return;
+    }
+    if (e instanceof SyntaxError) {
+      res.status(400).json({ error: "Invalid JSON" });
+      return;
+    }
+    console.error("admin error:", e);
+    res.status(500).json({ error: "Admin action failed" });
+  }
+}
@@ -0,0 +1,38 @@
+// /api/categories — every category with its slug (as used by ?c= on /api/resources) and how
+// many resources ?c= would return, in the site's filter order: the taxonomy's categories first
+// (parents before their children), then any the taxonomy doesn't declare, A–Z. Counts are of
+// cards, so a project with several channels counts once.
+import { acceptGet, directoryCards, loadDirectory, sendJson } from "./_lib/directory.js";
+import { slug } from "../src/resources.js";
+import { categoryInfo, orderCategories } from "../src/taxonomy.js";
+
+export default async function handler(req, res) {
+  if (!acceptGet(req, res)) return;
+  try {
+    const { rows, taxonomy } = await loadDirectory();
+    const cards = directoryCards(rows, "en");
+    const names = new Set();
+    const counts = new Map();
+    cards.forEach((r) => {
+      (r.categories || []).forEach((c) => names.add(c));
+      // A parent counts the resources in its children too, like its filter does.
+      (r.allCategories || r.categories || []).forEach((c) => counts.set(c, (counts.get(c) || 0) + 1));
+    });
+    const categories = orderCategories(Array.from(names), taxonomy).map((name) => {
+      const { icon, description } = categoryInfo(name, taxonomy);
+      const entry = taxonomy?.bySlug.get(slug(name));
+      return {
+        name,
+        slug: slug(name),
+        count: counts.get(name) || 0,
+        icon: icon || null,
+        description: description || null,
+        parent: entry?.parent ? slug(entry.parent) : null,
+      };
+    });
+    sendJson(req, res, 200, { categories });
+  } catch (e) {
+    console.error("categories api error:", e);
+    res.status(500).json({ error: "Could not load categories" });
+  }
+}
@@ -0,0 +1,46 @@
+// /api/clicks.js — anonymous outbound-click counts (see src/analytics.js).
+//   POST { id }  → counts one click on that resource for today; 204
+//   GET          → { popular, trending }: clicks per resource id over the last 30 and 7 days
+// No cookies, IPs or user agents are stored, and requests with a DNT header aren't counted.
+// Counts live in the pluggable store (api/_lib/store.js) as one file per day.
+import { clickStats, recordClick } from "./_lib/clicks.js";
+import { loadDirectory } from "./_lib/directory.js";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      res.setHeader("Cache-Control", "public, s-maxage=300, stale-while-revalidate=3600");
+      res.status(200).json(await clickStats());
+      return;
+    }
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      res.status(405).json({ error: "Method not allowed" });
+      return;
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    if (req.headers.dnt === "1" || req.headers["sec-gpc"] === "1") {
+      res.status(204).end();
+      return;
+    }
+    let body;
+    try {
+      body = typeof req.body === "string" ? JSON.parse(req.body || "{}") : req.body || {};
+    } catch {
+      res.status(400).json({ error: "Invalid JSON" });
+      return;
+    }
+    const id = typeof body.id === "string" ? body.id : "";
+    // Only ids in the directory (cached per instance), so the store can't be filled with arbitrary keys.
+    if (!id || !(await loadDirectory()).ids.has(id)) {
+      res.status(400).json({ error: "Unknown resource" });
+      return;
+    }
+    await recordClick(id);
+    res.status(204).end();
+  } catch (e) {
+    console.error("clicks error:", e);
+    res.status(500).json({ error: "Could not record click" });
+  }
+}
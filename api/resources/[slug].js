@@ -0,0 +1,28 @@
+// /api/resources/:slug — one resource by id (the same id as its /r/<id> page). A project's card
+// has its main row's id; each channel row can still be fetched by its own.
+import {
+  acceptGet,
+  directoryCards,
+  loadDirectory,
+  publicResource,
+  requestLocale,
+  sendJson,
+  siteOrigin,
+} from "../_lib/directory.js";
+
+export default async function handler(req, res) {
+  if (!acceptGet(req, res)) return;
+  try {
+    const id = String(req.query.slug || "").toLowerCase();
+    const cards = directoryCards((await loadDirectory()).rows, requestLocale(req));
+    const r = cards.find((c) => c.id === id) || cards.flatMap((c) => c.children || []).find((c) => c.id === id);
+    if (!r) {
+      sendJson(req, res, 404, { error: "Resource not found" });
+      return;
+    }
+    sendJson(req, res, 200, { resource: publicResource(r, siteOrigin()) });
+  } catch (e) {
+    console.error("resource api error:", e);
+    res.status(500).json({ error: "Could not load resources" });
+  }
+}
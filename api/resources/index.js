@@ -0,0 +1,65 @@
+// /api/resources — the directory as JSON, filtered and paged.
+//   GET /api/resources?q=camp&c=governance,auction&x=merchandise&m=all&sort=az&page=2&per_page=20&lang=es
+// Filters use the same parameters as the site's URLs (see src/urlState.js), so a directory link's
+// query string works here too. → { total, page, perPage, pageCount, resources }
+import {
+  acceptGet,
+  directoryCards,
+  loadDirectory,
+  publicResource,
+  requestLocale,
+  sendJson,
+  siteOrigin,
+} from "../_lib/directory.js";
+import { filterByCategories } from "../../src/filters.js";
+import { searchResources } from "../../src/search.js";
+import { canonicalFilters } from "../../src/taxonomy.js";
+import { readFilterState } from "../../src/urlState.js";
+import { SORT_ADDED, SORT_AZ, SORT_DEFAULT, sortResources } from "../../src/viewOptions.js";
+
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 100;
+const SORTS = [SORT_DEFAULT, SORT_AZ, SORT_ADDED];
+
+function positiveInt(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+export default async function handler(req, res) {
+  if (!acceptGet(req, res)) return;
+  try {
+    const page = positiveInt(req.query.page, 1);
+    const perPage = positiveInt(req.query.per_page, DEFAULT_PER_PAGE);
+    const sort = req.query.sort || SORT_DEFAULT;
+    if (!page || !perPage || perPage > MAX_PER_PAGE) {
+      res.status(400).json({ error: `page and per_page must be positive integers, per_page at most ${MAX_PER_PAGE}` });
+      return;
+    }
+    if (!SORTS.includes(sort)) {
+      res.status(400).json({ error: `sort must be one of ${SORTS.join(", ")}` });
+      return;
+    }
+
+    const filters = readFilterState(new URL(req.url, "http://localhost").search);
+    const { rows, taxonomy } = await loadDirectory();
+    const matched = filterByCategories(
+      searchResources(directoryCards(rows, requestLocale(req)), filters.query).rows,
+      canonicalFilters({ include: filters.tags, exclude: filters.excluded, mode: filters.mode }, taxonomy)
+    );
+    const sorted = sortResources(matched, sort);
+    const origin = siteOrigin();
+
+    sendJson(req, res, 200, {
+      total: sorted.length,
+      page,
+      perPage,
+      pageCount: Math.ceil(sorted.length / perPage),
+      resources: sorted.slice((page - 1) * perPage, page * perPage).map((r) => publicResource(r, origin)),
+    });
+  } catch (e) {
+    console.error("resources api error:", e);
+    res.status(500).json({ error: "Could not load resources" });
+  }
+}
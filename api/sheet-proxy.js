@@ -1,4 +1,13 @@
-// /api/sheet-proxy.js — tiny fetcher with CDN caching
+// /api/sheet-proxy.js — fetches a published sheet CSV from an allowlisted host, with CDN caching.
+//   GET /api/sheet-proxy?url=<csv url>              → the CSV as-is
+//   GET /api/sheet-proxy?url=<csv url>&format=json  → { fields, rows } normalized like the directory
+// Allowed hosts, size limit and timeout come from env (see api/_lib/config.js).
+import { sheetProxyConfig } from "./_lib/config.js";
+import { FetchRejected, safeFetch } from "./_lib/safeFetch.js";
+import { parseResources } from "../src/resources.js";
+
+const CSV_TYPES = ["text/csv", "application/csv", "text/plain", "application/octet-stream"];
+
 export default async function handler(req, res) {
   try {
     const url = req.query.url;
@@ -6,11 +15,44 @@ export default async function handler(req, res) {
       res.status(400).send("Missing url");
       return;
     }
-    const r = await fetch(url, { cache: "no-store" });
-    const text = await r.text();
+    const format = req.query.format === "json" ? "json" : "csv";
+
+    const r = await safeFetch(url, sheetProxyConfig());
+    if (r.status < 200 || r.status >= 300) {
+      res.status(502).send(`Upstream returned ${r.status}`);
+      return;
+    }
+    const type = r.contentType.split(";")[0].trim().toLowerCase();
+    if ((type && !CSV_TYPES.includes(type)) || /^\s*</.test(r.text)) {
+      res.status(502).send(`Upstream did not return CSV (${type || "unknown type"})`);
+      return;
+    }
+
+    let parsed;
+    if (format === "json") {
+      try {
+        parsed = parseResources(r.text);
+      } catch (e) {
+        res.status(502).send(e.message);
+        return;
+      }
+    }
+
     res.setHeader("Cache-Control", "public, s-maxage=300, stale-while-revalidate=86400");
-    res.status(r.status).send(text);
+    if (parsed) {
+      const { fields, rows } = parsed;
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      res.status(200).send(JSON.stringify({ fields, rows }));
+    } else {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.status(200).send(r.text);
+    }
   } catch (e) {
-    res.status(500).send(String(e || "proxy error"));
+    if (e instanceof FetchRejected) {
+      res.status(e.status).send(e.message);
+      return;
+    }
+    console.error("sheet-proxy error:", e);
+    res.status(500).send("proxy error");
   }
 }
@@ -0,0 +1,103 @@
+// /api/submit-resource.js — accepts "Suggest a resource" submissions into the moderation queue.
+//   POST JSON { title, link, description, categories[], newCategories[], cardCategories[],
+//               logo?: { name, type, data (base64) } }
+// Validated with the same rules as the CSV loader (src/validation.js). Categories the directory
+// doesn't use or declare are moved to newCategories, so moderators see them as proposals.
+// Each client IP gets SUBMIT_RATE_LIMIT submissions per SUBMIT_RATE_WINDOW_MS (default 5 an hour).
+import { submitRateLimit } from "./_lib/config.js";
+import { loadDirectory } from "./_lib/directory.js";
+import { clientIp, takeRequest } from "./_lib/rateLimit.js";
+import { addSubmission } from "./_lib/submissions.js";
+import { slug } from "../src/resources.js";
+import { canonicalCategory } from "../src/taxonomy.js";
+import { validateSubmission } from "../src/validation.js";
+
+const str = (v) => (typeof v === "string" ? v.trim() : "");
+const strList = (v) => (Array.isArray(v) ? v.map(str).filter(Boolean) : []);
+
+// Image type from the file's magic bytes; the browser-supplied type isn't trusted.
+function sniffImageType(buf) {
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.length >= 6 && /^GIF8[79]a$/.test(buf.subarray(0, 6).toString("latin1"))) return "image/gif";
+  if (buf.length >= 12 && buf.subarray(0, 4).toString("latin1") === "RIFF" && buf.subarray(8, 12).toString("latin1") === "WEBP") return "image/webp";
+  return "";
+}
+
+// Splits the picked categories into ones the site knows (under their declared names, aliases
+// resolved) and unknown ones, which join the proposed new categories.
+async function sortCategories(categories, newCategories) {
+  const { rows, taxonomy } = await loadDirectory();
+  const known = new Map();
+  rows.forEach((r) => r.categories.forEach((c) => known.set(slug(c), c)));
+  (taxonomy?.categories || []).forEach((c) => known.set(c.slug, c.name));
+
+  const picked = new Set();
+  const proposed = new Set(newCategories);
+  categories.forEach((c) => {
+    const name = known.get(slug(canonicalCategory(c, taxonomy)));
+    if (name) picked.add(name);
+    else proposed.add(c);
+  });
+  return { categories: Array.from(picked), newCategories: Array.from(proposed) };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+  try {
+    const { allowed, retryAfter } = await takeRequest("submit", clientIp(req), submitRateLimit());
+    if (!allowed) {
+      res.setHeader("Retry-After", String(retryAfter));
+      res.status(429).json({ error: "Too many submissions, try again later" });
+      return;
+    }
+
+    const body = typeof req.body === "string" ? JSON.parse(req.body || "{}") : req.body === undefined ? {} : req.body;
+    // `null`, an array or a number parses fine but isn't a submission.
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      res.status(400).json({ error: "Expected a JSON object" });
+      return;
+    }
+
+    // Honeypot: real users never see this field.
+    if (str(body.website)) {
+      res.status(202).json({ ok: true });
+      return;
+    }
+
+    const fields = {
+      title: str(body.title),
+      link: str(body.link),
+      description: str(body.description),
+      ...(await sortCategories(strList(body.categories), strList(body.newCategories))),
+      cardCategories: strList(body.cardCategories),
+      submitter: str(body.submitter).slice(0, 120),
+    };
+
+    let logo = null;
+    if (body.logo && typeof body.logo.data === "string") {
+      const buffer = Buffer.from(body.logo.data.replace(/^data:[^,]*,/, ""), "base64");
+      logo = { name: str(body.logo.name), type: sniffImageType(buffer), size: buffer.length, buffer };
+    }
+
+    const problems = validateSubmission({ ...fields, logo });
+    if (problems.length) {
+      res.status(422).json({ error: "Invalid submission", problems });
+      return;
+    }
+
+    const saved = await addSubmission(fields, logo);
+    res.status(201).json({ ok: true, id: saved.id });
+  } catch (e) {
+    if (e instanceof SyntaxError) {
+      res.status(400).json({ error: "Invalid JSON" });
+      return;
+    }
+    console.error("submit-resource error:", e);
+    res.status(500).json({ error: "Could not save submission" });
+  }
+}
@@ -0,0 +1,76 @@
+// Vite plugin: writes the branding from site.config.json (see src/site.js) into the HTML pages.
+//   index.html → title, description, favicon and share tags, plus the script that applies the
+//                saved colour theme before the first paint (src/theme.js)
+//   both pages → the `--brand-*` colour variables for light and `.dark`, read by Tailwind's
+//                `brand-*` colours (tailwind.config.js)
+// A colour that isn't hex stops the dev server and the build.
+
+import path from "node:path";
+import { themeScript } from "../src/theme.js";
+
+// site.config.json colour key → CSS variable (--brand-<name>) and Tailwind colour (brand-<name>).
+const COLOR_VARS = {
+  page: "page",
+  header: "header",
+  headerText: "header-text",
+  accent: "accent",
+  accentText: "accent-text",
+};
+
+// "#0af" or "#00aaff" → "0 170 255", the form `rgb(var(--brand-x) / <alpha-value>)` needs.
+function rgbChannels(value, key) {
+  const hex = String(value || "").trim().replace(/^#/, "");
+  const full = /^[0-9a-f]{3}$/i.test(hex) ? hex.replace(/./g, "$&$&") : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) {
+    throw new Error(`site.config.json: colors.${key} should be a hex colour like "#1a2b3c", not ${JSON.stringify(value)}.`);
+  }
+  return [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16)).join(" ");
+}
+
+export function brandCss(colors) {
+  const vars = (mode) =>
+    Object.entries(COLOR_VARS)
+      .map(([key, name]) => `--brand-${name}:${rgbChannels(colors[mode][key], `${mode}.${key}`)}`)
+      .join(";");
+  return `:root{${vars("light")}}.dark{${vars("dark")}}`;
+}
+
+const meta = (attrs) => ({ tag: "meta", attrs, injectTo: "head" });
+
+function headTags(site) {
+  const tags = [
+    { tag: "title", children: site.name, injectTo: "head" },
+    meta({ name: "description", content: site.description }),
+    meta({ property: "og:site_name", content: site.name }),
+    meta({ property: "og:title", content: site.name }),
+    meta({ property: "og:description", content: site.description }),
+    meta({ name: "twitter:title", content: site.name }),
+    meta({ name: "twitter:description", content: site.description }),
+  ];
+  if (site.shareImage) {
+    tags.push(meta({ property: "og:image", content: site.shareImage }), meta({ name: "twitter:image", content: site.shareImage }));
+  }
+  if (site.favicon) tags.push({ tag: "link", attrs: { rel: "icon", href: site.favicon }, injectTo: "head" });
+  return tags;
+}
+
+export default function branding({ site }) {
+  let css = "";
+
+  return {
+    name: "nouns-branding",
+    configResolved() {
+      css = brandCss(site.colors);
+    },
+    transformIndexHtml(html, ctx) {
+      const tags = [{ tag: "style", attrs: { id: "brand-colors" }, children: css, injectTo: "head" }];
+      if (path.basename(ctx.filename) === "index.html") {
+        tags.unshift({ tag: "script", children: themeScript(site.theme), injectTo: "head" });
+        tags.push(...headTags(site));
+      } else {
+        tags.push({ tag: "title", children: site.name, injectTo: "head" });
+      }
+      return tags;
+    },
+  };
+}
@@ -0,0 +1,232 @@
+// Vite build plugin: feeds of the newest resources from public/resources.csv.
+//   dist/feeds/rss.xml, atom.xml, feed.json                  → every category
+//   dist/feeds/category/<slug>/rss.xml, atom.xml, feed.json  → one category
+// Items are dated by the `Added` column. Rows without one are dated by the commit that first
+// added them to the CSV, when the build runs in a full git checkout (CI clones are usually
+// shallow, so fill in `Added` for anything that should show up there). Undated rows are left out.
+
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { parseResources, slug } from "../src/resources.js";
+import { applyTaxonomy } from "../src/taxonomy.js";
+import { indexLogoFiles, previewImage } from "./logos.js";
+import { readTaxonomy } from "./taxonomy.js";
+
+export const FEED_DIR = "feeds";
+const FEED_SIZE = 50;
+
+const esc = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const git = (cwd, args) =>
+  execFileSync("git", args, { cwd, encoding: "utf8", maxBuffer: 64 * 1024 * 1024, stdio: ["ignore", "pipe", "ignore"] });
+
+// id → "YYYY-MM-DD" of the first commit whose resources.csv contains it. Empty when git or the
+// history isn't available.
+export function gitAddedDates(csvPath) {
+  const dates = new Map();
+  const dir = path.dirname(path.resolve(csvPath));
+  try {
+    if (git(dir, ["rev-parse", "--is-shallow-repository"]).trim() === "true") {
+      console.warn("[feeds] Shallow git clone: rows without an Added date are left out of the feeds.");
+      return dates;
+    }
+    const top = git(dir, ["rev-parse", "--show-toplevel"]).trim();
+    const rel = path.relative(top, path.resolve(csvPath)).split(path.sep).join("/");
+    const commits = git(top, ["log", "--reverse", "--format=%H %cI", "--", rel]).trim().split("\n").filter(Boolean);
+    for (const line of commits) {
+      const [sha, date] = line.split(" ");
+      let rows;
+      try {
+        rows = parseResources(git(top, ["show", `${sha}:${rel}`])).rows;
+      } catch {
+        continue; // deleted or unparseable in this commit
+      }
+      rows.forEach((r) => dates.has(r.id) || dates.set(r.id, date.slice(0, 10)));
+    }
+  } catch {
+    // Not a git checkout, or git isn't installed.
+  }
+  return dates;
+}
+
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+
+// Newest first; ties keep sheet order.
+export function feedItems(rows, added) {
+  return rows
+    .map((r, i) => ({ r, i, day: r.added || added.get(r.id) || "" }))
+    .filter((x) => x.day)
+    .sort((a, b) => b.day.localeCompare(a.day) || a.i - b.i)
+    .map(({ r, day }) => ({ ...r, added: day }));
+}
+
+function itemHtml(item) {
+  return [
+    item.imageUrl ? `<p><img src="${esc(item.imageUrl)}" alt="" width="60" height="60" /></p>` : "",
+    item.description ? `<p>${esc(item.description)}</p>` : "",
+    item.link ? `<p><a href="${esc(item.link)}">${esc(item.link)}</a></p>` : "",
+  ].join("");
+}
+
+export function rssXml(feed) {
+  const items = feed.items
+    .map((it) =>
+      [
+        "    <item>",
+        `      <title>${esc(it.title)}</title>`,
+        `      <link>${esc(it.pageUrl)}</link>`,
+        `      <guid isPermaLink="true">${esc(it.pageUrl)}</guid>`,
+        `      <pubDate>${toDate(it.added).toUTCString()}</pubDate>`,
+        `      <description>${esc(itemHtml(it))}</description>`,
+        ...it.categories.map((c) => `      <category>${esc(c)}</category>`),
+        "    </item>",
+      ].join("\n")
+    )
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${esc(feed.title)}</title>
+    <link>${esc(feed.homeUrl)}</link>
+    <description>${esc(feed.description)}</description>
+    <atom:link href="${esc(feed.urls.rss)}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+export function atomXml(feed) {
+  const entries = feed.items
+    .map((it) =>
+      [
+        "  <entry>",
+        `    <title>${esc(it.title)}</title>`,
+        `    <id>${esc(it.pageUrl)}</id>`,
+        `    <link href="${esc(it.pageUrl)}" />`,
+        it.link ? `    <link rel="related" href="${esc(it.link)}" />` : "",
+        `    <published>${toDate(it.added).toISOString()}</published>`,
+        `    <updated>${toDate(it.added).toISOString()}</updated>`,
+        `    <summary>${esc(it.description)}</summary>`,
+        `    <content type="html">${esc(itemHtml(it))}</content>`,
+        ...it.categories.map((c) => `    <category term="${esc(slug(c))}" label="${esc(c)}" />`),
+        "  </entry>",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${esc(feed.title)}</title>
+  <subtitle>${esc(feed.description)}</subtitle>
+  <id>${esc(feed.urls.atom)}</id>
+  <link href="${esc(feed.homeUrl)}" />
+  <link rel="self" href="${esc(feed.urls.atom)}" />
+  <updated>${feed.updated.toISOString()}</updated>
+${entries}
+</feed>
+`;
+}
+
+export function jsonFeed(feed) {
+  const data = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.urls.json,
+    items: feed.items.map((it) => ({
+      id: it.pageUrl,
+      url: it.pageUrl,
+      external_url: it.link || undefined,
+      title: it.title,
+      content_text: it.description,
+      image: it.imageUrl || undefined,
+      date_published: toDate(it.added).toISOString(),
+      tags: it.categories,
+    })),
+  };
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+const FORMATS = [
+  { key: "rss", file: "rss.xml", type: "application/rss+xml", render: rssXml },
+  { key: "atom", file: "atom.xml", type: "application/atom+xml", render: atomXml },
+  { key: "json", file: "feed.json", type: "application/feed+json", render: jsonFeed },
+];
+
+export default function feeds({
+  csv = "public/resources.csv",
+  siteUrl = "https://resources.nouns.world",
+  siteName = "Resources.Nouns.World",
+} = {}) {
+  let root = process.cwd();
+  let publicDir = path.join(root, "public");
+  const origin = siteUrl.replace(/\/+$/, "");
+  const absolute = (u) => (/^https?:\/\//i.test(u) ? u : `${origin}${u.startsWith("/") ? "" : "/"}${u}`);
+
+  return {
+    name: "nouns-feeds",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir || path.join(root, "public");
+    },
+    generateBundle(_options, bundle) {
+      const csvPath = path.resolve(root, csv);
+      const { rows } = applyTaxonomy(parseResources(fs.readFileSync(csvPath, "utf8")).rows, readTaxonomy(publicDir));
+      const logoIndex = indexLogoFiles(publicDir);
+      const dated = feedItems(rows, gitAddedDates(csvPath)).map((r) => ({
+        ...r,
+        pageUrl: `${origin}/r/${r.id}`,
+        imageUrl: absolute(previewImage(r, logoIndex, publicDir)),
+      }));
+
+      const emit = (dir, { title, description, homeUrl, items }) => {
+        const urls = Object.fromEntries(FORMATS.map((f) => [f.key, `${origin}/${dir}/${f.file}`]));
+        const latest = items.slice(0, FEED_SIZE);
+        const updated = latest.length ? toDate(latest[0].added) : new Date(0);
+        const feed = { title, description, homeUrl, urls, updated, items: latest };
+        FORMATS.forEach((f) => this.emitFile({ type: "asset", fileName: `${dir}/${f.file}`, source: f.render(feed) }));
+      };
+
+      emit(FEED_DIR, {
+        title: `${siteName} · New resources`,
+        description: `The newest community resources on ${siteName}.`,
+        homeUrl: `${origin}/`,
+        items: dated,
+      });
+
+      // A parent category's feed includes its children's resources, like its filter on the site.
+      const categoriesOf = (r) => r.allCategories || r.categories;
+      const categories = new Map();
+      rows.forEach((r) => categoriesOf(r).forEach((c) => categories.has(slug(c)) || categories.set(slug(c), c)));
+      for (const [s, name] of categories) {
+        emit(`${FEED_DIR}/category/${s}`, {
+          title: `${siteName} · ${name}`,
+          description: `The newest ${name} resources on ${siteName}.`,
+          homeUrl: `${origin}/?c=${s}`,
+          items: dated.filter((r) => categoriesOf(r).some((c) => slug(c) === s)),
+        });
+      }
+
+      // Let browsers and readers discover the main feeds from the home page.
+      const index = bundle["index.html"];
+      if (index) {
+        const links = FORMATS.map(
+          (f) => `<link rel="alternate" type="${f.type}" title="${esc(siteName)}" href="/${FEED_DIR}/${f.file}" />`
+        ).join("\n    ");
+        index.source = String(index.source).replace("</head>", `    ${links}\n  </head>`);
+      }
+    },
+  };
+}
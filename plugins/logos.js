@@ -0,0 +1,212 @@
+// Logo pipeline: maps every resource in public/resources.csv to a file in public/logos and,
+// at build time, emits optimized copies plus /logos/manifest.json for the cards to read.
+//   dist/logos/opt/<hash>-<size>.webp|avif  → one set per distinct image (identical files share it)
+//   dist/logos/avatars/<id>.svg|png         → generated placeholder (src/avatar.js) for resources without one
+//   dist/logos/manifest.json                → { sizes, logos: { [id]: { src, srcSet, sources, original, placeholder } } }
+// In dev the manifest is served from the originals, so the app never guesses paths.
+// `npm run logos` prints the same resolution as a report (missing, orphaned, duplicate logos).
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { ACCESSORY_DIR, AVATAR_DIR, avatarSpec, avatarSvg } from "../src/avatar.js";
+import { parseResources, slug } from "../src/resources.js";
+import { applyTaxonomy } from "../src/taxonomy.js";
+import { readTaxonomy } from "./taxonomy.js";
+
+export const MANIFEST_PATH = "/logos/manifest.json";
+const LOGO_DIR = "logos";
+const EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".gif"];
+const FORMATS = [
+  { ext: "avif", type: "image/avif", options: { quality: 60 } },
+  { ext: "webp", type: "image/webp", options: { quality: 85 } },
+];
+
+const isRemote = (u) => /^https?:\/\//i.test(u);
+const extRank = (file) => {
+  const i = EXTENSIONS.indexOf(path.extname(file).toLowerCase());
+  return i === -1 ? EXTENSIONS.length : i;
+};
+
+// Files in public/logos grouped by the slug of their base name, so "4156-Blog.png",
+// ":nouns.png" and "nouns-amigos.jpg" are found for "4156-blog", "nouns" and "nouns-amigos".
+// Within a group the exact "<key>.png" wins, then exact names, then by extension.
+export function indexLogoFiles(publicDir) {
+  const dir = path.join(publicDir, LOGO_DIR);
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter((f) => EXTENSIONS.includes(path.extname(f).toLowerCase()))
+    : [];
+  const index = new Map();
+  for (const file of files) {
+    const key = slug(path.basename(file, path.extname(file)));
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(file);
+  }
+  for (const [key, list] of index) {
+    const exact = (f) => (path.basename(f, path.extname(f)) === key ? 0 : 1);
+    list.sort((a, b) => exact(a) - exact(b) || extRank(a) - extRank(b) || a.localeCompare(b));
+  }
+  return { files, index };
+}
+
+// { file } (path under public/), { url } for remote logos, or { missing: reason }.
+export function resolveLogo(r, { files, index }, publicDir) {
+  if (r.logoUrl) {
+    if (isRemote(r.logoUrl)) return { url: r.logoUrl };
+    const rel = r.logoUrl.replace(/^\/+/, "");
+    if (fs.existsSync(path.join(publicDir, rel))) return { file: rel };
+    // Same name, different case (only inside public/logos).
+    if (path.dirname(rel) === LOGO_DIR) {
+      const match = files.find((f) => f.toLowerCase() === path.basename(rel).toLowerCase());
+      if (match) return { file: `${LOGO_DIR}/${match}` };
+    }
+    return { missing: `Logo "${r.logoUrl}" not found in public/` };
+  }
+  for (const key of new Set([r.id, slug(r.title)])) {
+    const list = index.get(key);
+    if (list) return { file: `${LOGO_DIR}/${list[0]}` };
+  }
+  return { missing: `No logo — expected public/logos/${slug(r.title)}.png or a Logo URL` };
+}
+
+const hashOf = (buf) => crypto.createHash("sha1").update(buf).digest("hex").slice(0, 10);
+
+// Resolution for every row plus what's left over in public/logos.
+export function logoReport(rows, publicDir) {
+  const logoIndex = indexLogoFiles(publicDir);
+  const resolved = new Map();
+  const missing = [];
+  const used = new Set();
+  for (const r of rows) {
+    const res = resolveLogo(r, logoIndex, publicDir);
+    if (res.missing) missing.push({ id: r.id, title: r.title, reason: res.missing });
+    else resolved.set(r.id, res);
+    if (res.file) used.add(res.file);
+  }
+
+  const all = logoIndex.files.map((f) => `${LOGO_DIR}/${f}`);
+  const orphans = all.filter((f) => !used.has(f));
+
+  const byHash = new Map();
+  for (const f of all) {
+    const h = hashOf(fs.readFileSync(path.join(publicDir, f)));
+    byHash.set(h, [...(byHash.get(h) || []), f]);
+  }
+  const duplicates = [...byHash.values()].filter((list) => list.length > 1);
+
+  return { resolved, missing, orphans, duplicates };
+}
+
+// URL path for a file under public/ (names like "wtf-is-nouns-dao?.png" need escaping).
+export const publicUrl = (file) => `/${file.split("/").map(encodeURIComponent).join("/")}`;
+
+// Site path (or remote URL) of a resource's original logo, or of its generated avatar PNG,
+// for link previews and feeds that can't use the optimized sources.
+export function previewImage(r, logoIndex, publicDir) {
+  const logo = resolveLogo(r, logoIndex, publicDir);
+  if (logo.url) return logo.url;
+  if (logo.file) return publicUrl(logo.file);
+  return `${AVATAR_DIR}/${encodeURIComponent(r.id)}.png`;
+}
+
+// Placeholder avatar as a standalone SVG (the accessory sprite inlined as a data URI).
+export function placeholderSvg(r, publicDir) {
+  const spec = avatarSpec(r);
+  const sprite = fs.readFileSync(path.join(publicDir, ACCESSORY_DIR, spec.accessory));
+  return avatarSvg(spec, { accessoryHref: `data:image/png;base64,${sprite.toString("base64")}` });
+}
+
+export default function logos({ csv = "public/resources.csv", sizes = [30, 60], avatarPngSize = 240 } = {}) {
+  let root = process.cwd();
+  let publicDir = path.join(root, "public");
+  let command = "build";
+
+  // With the taxonomy applied like the app does, so a placeholder avatar gets the colour of the
+  // canonical first category, not of an alias.
+  const readRows = () => applyTaxonomy(parseResources(fs.readFileSync(path.resolve(root, csv), "utf8")).rows, readTaxonomy(publicDir)).rows;
+
+  return {
+    name: "nouns-logos",
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir || path.join(root, "public");
+      command = config.command;
+    },
+    configureServer(server) {
+      server.middlewares.use(MANIFEST_PATH, (_req, res) => {
+        const { resolved } = logoReport(readRows(), publicDir);
+        const entries = [...resolved].map(([id, l]) => [id, { src: l.url || publicUrl(l.file) }]);
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ sizes: [], logos: Object.fromEntries(entries) }));
+      });
+    },
+    async generateBundle() {
+      if (command !== "build") return;
+      const { default: sharp } = await import("sharp");
+      const rows = readRows();
+      const { resolved, missing, orphans, duplicates } = logoReport(rows, publicDir);
+
+      // One optimized set per distinct image, named by content hash.
+      const done = new Map();
+      const optimize = async (file) => {
+        const input = fs.readFileSync(path.join(publicDir, file));
+        const h = hashOf(input);
+        if (done.has(h)) return done.get(h);
+        const out = {};
+        for (const f of FORMATS) {
+          out[f.ext] = [];
+          for (const size of sizes) {
+            const fileName = `${LOGO_DIR}/opt/${h}-${size}.${f.ext}`;
+            const source = await sharp(input).resize(size, size, { fit: "cover" })[f.ext](f.options).toBuffer();
+            this.emitFile({ type: "asset", fileName, source });
+            out[f.ext].push(`${publicUrl(fileName)} ${size / sizes[0]}x`);
+          }
+        }
+        done.set(h, out);
+        return out;
+      };
+
+      const manifest = {};
+      for (const [id, l] of resolved) {
+        if (l.url) {
+          manifest[id] = { src: l.url };
+          continue;
+        }
+        try {
+          const out = await optimize(l.file);
+          manifest[id] = {
+            src: out.webp[0].split(" ")[0],
+            srcSet: out.webp.join(", "),
+            sources: [{ type: "image/avif", srcSet: out.avif.join(", ") }],
+            original: publicUrl(l.file),
+          };
+        } catch (e) {
+          this.warn(`logo ${l.file}: ${e.message}`);
+          manifest[id] = { src: publicUrl(l.file), original: publicUrl(l.file) };
+        }
+      }
+
+      // Generated avatars for the rest: SVG for cards, PNG for link previews.
+      for (const r of rows.filter((x) => !resolved.has(x.id))) {
+        const svg = placeholderSvg(r, publicDir);
+        const base = `${AVATAR_DIR.slice(1)}/${r.id}`;
+        this.emitFile({ type: "asset", fileName: `${base}.svg`, source: svg });
+        const png = await sharp(Buffer.from(svg)).resize(avatarPngSize, avatarPngSize, { kernel: "nearest" }).png().toBuffer();
+        this.emitFile({ type: "asset", fileName: `${base}.png`, source: png });
+        manifest[r.id] = { src: publicUrl(`${base}.svg`), original: publicUrl(`${base}.png`), placeholder: true };
+      }
+
+      this.emitFile({
+        type: "asset",
+        fileName: MANIFEST_PATH.slice(1),
+        source: JSON.stringify({ sizes, logos: manifest }),
+      });
+
+      missing.forEach((m) => this.warn(`${m.title}: ${m.reason} (using a generated avatar)`));
+      this.info?.(
+        `logos: ${resolved.size} resolved, ${done.size} optimized, ${missing.length} missing, ` +
+          `${orphans.length} orphaned, ${duplicates.length} duplicate groups (npm run logos for details)`
+      );
+    },
+  };
+}
@@ -0,0 +1,142 @@
+// Vite build plugin: pre-renders the directory from public/resources.csv so crawlers and
+// link previews (Farcaster, X, …) see real content instead of an empty #root.
+//   dist/index.html           → static list of every resource
+//   dist/r/<slug>/index.html  → one page per resource with its own title/description/og:image
+//   dist/sitemap.xml
+// The React app replaces the static markup as soon as it mounts.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseResources, slug } from "../src/resources.js";
+import { applyTaxonomy } from "../src/taxonomy.js";
+import { indexLogoFiles, previewImage } from "./logos.js";
+import { readTaxonomy } from "./taxonomy.js";
+
+const esc = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const truncate = (s, n) => (s.length > n ? s.slice(0, n - 1).trimEnd() + "…" : s);
+
+// Replace (or add) a <meta> tag keyed by `attr="key"`.
+function setMeta(html, attr, key, value) {
+  const tag = `<meta ${attr}="${key}" content="${esc(value)}" />`;
+  const re = new RegExp(`<meta\\s+${attr}="${key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}"[^>]*>`, "i");
+  return re.test(html) ? html.replace(re, tag) : html.replace("</head>", `    ${tag}\n  </head>`);
+}
+
+function setHead(html, { title, description, url, image }) {
+  let out = html.replace(/<title>[\s\S]*?<\/title>/i, `<title>${esc(title)}</title>`);
+  out = setMeta(out, "name", "description", description);
+  out = setMeta(out, "property", "og:title", title);
+  out = setMeta(out, "property", "og:description", description);
+  out = setMeta(out, "property", "og:url", url);
+  out = setMeta(out, "property", "og:image", image);
+  out = setMeta(out, "name", "twitter:title", title);
+  out = setMeta(out, "name", "twitter:description", description);
+  out = setMeta(out, "name", "twitter:image", image);
+  const canonical = `<link rel="canonical" href="${esc(url)}" />`;
+  out = /<link rel="canonical"[^>]*>/.test(out)
+    ? out.replace(/<link rel="canonical"[^>]*>/, canonical)
+    : out.replace("</head>", `    ${canonical}\n  </head>`);
+  return out;
+}
+
+const setRoot = (html, markup) => html.replace(/<div id="root">[\s\S]*?<\/div>/, `<div id="root">${markup}</div>`);
+
+function cardHtml(r) {
+  const chips = r.cardCategories.map((c) => `<li>${esc(c)}</li>`).join("");
+  return [
+    `<article>`,
+    `<h3><a href="/r/${esc(r.id)}">${esc(r.title)}</a></h3>`,
+    r.description ? `<p>${esc(r.description)}</p>` : "",
+    chips ? `<ul>${chips}</ul>` : "",
+    r.link ? `<a href="${esc(r.link)}" rel="noreferrer noopener">Explore →</a>` : "",
+    `</article>`,
+  ].join("");
+}
+
+function listHtml(rows, siteName) {
+  return `<main><h1>${esc(siteName)}</h1>${rows.map(cardHtml).join("")}</main>`;
+}
+
+function detailHtml(r) {
+  const cats = r.categories.map((c) => `<li><a href="/?c=${esc(slug(c))}">${esc(c)}</a></li>`).join("");
+  return [
+    `<main><article>`,
+    `<p><a href="/">← All resources</a></p>`,
+    `<h1>${esc(r.title)}</h1>`,
+    r.description ? `<p>${esc(r.description)}</p>` : "",
+    cats ? `<ul>${cats}</ul>` : "",
+    r.link ? `<p><a href="${esc(r.link)}" rel="noreferrer noopener">Visit ${esc(r.link)}</a></p>` : "",
+    `</article></main>`,
+  ].join("");
+}
+
+function sitemapXml(urls) {
+  const items = urls.map((u) => `  <url><loc>${esc(u)}</loc></url>`).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${items}\n</urlset>\n`;
+}
+
+export default function prerender({
+  csv = "public/resources.csv",
+  siteUrl = "https://resources.nouns.world",
+  siteName = "Resources.Nouns.World",
+  description = "Check out nouns community produced resources on Nouns.World.",
+  shareImage = "/resource-share.png",
+} = {}) {
+  let root = process.cwd();
+  let publicDir = path.join(root, "public");
+  const origin = siteUrl.replace(/\/+$/, "");
+  const absolute = (u) => (/^https?:\/\//i.test(u) ? u : `${origin}${u.startsWith("/") ? "" : "/"}${u}`);
+
+  return {
+    name: "nouns-prerender",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir || path.join(root, "public");
+    },
+    generateBundle(_options, bundle) {
+      const index = bundle["index.html"];
+      if (!index) return;
+      const { rows } = applyTaxonomy(
+        parseResources(fs.readFileSync(path.resolve(root, csv), "utf8")).rows,
+        readTaxonomy(publicDir)
+      );
+      const template = String(index.source);
+
+      // Use the resource's original logo for previews (same resolution as the logo pipeline).
+      const logoIndex = indexLogoFiles(publicDir);
+      const imageFor = (r) => absolute(previewImage(r, logoIndex, publicDir));
+
+      index.source = setRoot(
+        setHead(template, { title: siteName, description, url: `${origin}/`, image: absolute(shareImage) }),
+        listHtml(rows, siteName)
+      );
+
+      for (const r of rows) {
+        const html = setRoot(
+          setHead(template, {
+            title: `${r.title} · ${siteName}`,
+            description: truncate(r.description || description, 200),
+            url: `${origin}/r/${r.id}`,
+            image: imageFor(r),
+          }),
+          detailHtml(r)
+        );
+        this.emitFile({ type: "asset", fileName: `r/${r.id}/index.html`, source: html });
+      }
+
+      this.emitFile({
+        type: "asset",
+        fileName: "sitemap.xml",
+        source: sitemapXml([`${origin}/`, ...rows.map((r) => `${origin}/r/${r.id}`)]),
+      });
+    },
+  };
+}
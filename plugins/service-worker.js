@@ -0,0 +1,50 @@
+// Vite build plugin: emits /sw.js from src/sw.js with a per-build version and the precache list
+// (built assets, the app shell, the optimized logos, the background art and the avatar sprites,
+// plus `files` such as the site logo from site.config.json).
+
+import fs from "node:fs";
+import path from "node:path";
+
+const PRECACHE_DIRS = ["images"];
+const PRECACHE_FILES = ["/", "/index.html", "/resources.csv", "/taxonomy.json"];
+
+function listPublic(publicDir, dir) {
+  const abs = path.join(publicDir, dir);
+  if (!fs.existsSync(abs)) return [];
+  return fs
+    .readdirSync(abs, { withFileTypes: true })
+    .flatMap((d) => (d.isDirectory() ? listPublic(publicDir, `${dir}/${d.name}`) : [`/${dir}/${d.name}`]));
+}
+
+export default function serviceWorker({ source = "src/sw.js", files = [] } = {}) {
+  let root = process.cwd();
+  let publicDir = path.join(root, "public");
+
+  return {
+    name: "nouns-service-worker",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir || path.join(root, "public");
+    },
+    generateBundle(_options, bundle) {
+      const assets = Object.keys(bundle)
+        .filter((f) => f.startsWith("assets/") || f.startsWith("logos/"))
+        .map((f) => `/${f}`);
+      const publicFiles = PRECACHE_DIRS.flatMap((d) => listPublic(publicDir, d));
+      const extra = files.filter((f) => f && f.startsWith("/"));
+      const precache = Array.from(new Set([...PRECACHE_FILES, ...extra, ...assets, ...publicFiles])).map((f) =>
+        f.split("/").map(encodeURIComponent).join("/")
+      );
+      // New version every build, so each deploy installs a fresh shell cache.
+      const version = Date.now().toString(36);
+      const body = fs.readFileSync(path.resolve(root, source), "utf8");
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: `self.__SW_VERSION = ${JSON.stringify(version)};\nself.__PRECACHE = ${JSON.stringify(precache)};\n${body}`,
+      });
+    },
+  };
+}
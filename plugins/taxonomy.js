@@ -0,0 +1,47 @@
+// Build-time check of public/taxonomy.json (see src/taxonomy.js): the build fails when the file
+// doesn't parse or declares a category twice, and warns about categories in the CSV that it
+// doesn't declare. readTaxonomy is shared with the other plugins and scripts/validate-csv.js.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseResources } from "../src/resources.js";
+import { applyTaxonomy, buildTaxonomy } from "../src/taxonomy.js";
+
+export const TAXONOMY_FILE = "taxonomy.json";
+
+// The indexed taxonomy, or null when public/ has none. Throws when the file is invalid.
+export function readTaxonomy(publicDir) {
+  const file = path.join(publicDir, TAXONOMY_FILE);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return buildTaxonomy(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    throw new Error(`${path.relative(process.cwd(), file)}: ${e.message}`);
+  }
+}
+
+export default function taxonomy({ csv = "public/resources.csv" } = {}) {
+  let root = process.cwd();
+  let publicDir = path.join(root, "public");
+
+  return {
+    name: "nouns-taxonomy",
+    apply: "build",
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir || path.join(root, "public");
+    },
+    buildStart() {
+      let tax;
+      try {
+        tax = readTaxonomy(publicDir);
+      } catch (e) {
+        this.error(e.message);
+      }
+      if (!tax) return;
+      const { rows } = parseResources(fs.readFileSync(path.resolve(root, csv), "utf8"));
+      const { undeclared } = applyTaxonomy(rows, tax);
+      undeclared.forEach((ids, name) => this.warn(`Category "${name}" is not in ${TAXONOMY_FILE} (${ids.join(", ")})`));
+    },
+  };
+}
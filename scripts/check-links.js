@@ -0,0 +1,190 @@
+// Check every resource URL in public/resources.csv: HTTP status, redirects and TLS.
+// Usage: node scripts/check-links.js [--csv path] [--out public/link-status.json] [--report link-status.md]
+//                                    [--concurrency 6] [--timeout 10000]
+// Writes a JSON report for the site (see src/linkHealth.js) and a Markdown summary for people.
+// Exits 1 when any link looks offline.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseResources } from "../src/resources.js";
+import { LINK_OFFLINE, LINK_OK, LINK_REDIRECT, LINK_UNKNOWN } from "../src/linkHealth.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const MAX_REDIRECTS = 10;
+const USER_AGENT = "nouns-world-directory link checker (+https://resources.nouns.world)";
+
+// Sites that answer bots with these are usually up; report them without flagging.
+const BLOCKED_CODES = new Set([401, 403, 429]);
+
+const TLS_CODES = /^(CERT_|ERR_TLS_|ERR_SSL_|DEPTH_ZERO_SELF_SIGNED_CERT|SELF_SIGNED_CERT_IN_CHAIN|UNABLE_TO_)/;
+
+function describeError(e) {
+  if (e.name === "TimeoutError" || e.name === "AbortError") return "Timed out";
+  const code = (e.cause && e.cause.code) || e.code || "";
+  if (code === "ENOTFOUND" || code === "EAI_AGAIN") return "Domain does not resolve";
+  if (code === "ECONNREFUSED") return "Connection refused";
+  if (code === "ECONNRESET") return "Connection reset";
+  if (TLS_CODES.test(code)) return `TLS error (${code})`;
+  return (e.cause && e.cause.message) || e.message || "Request failed";
+}
+
+// Redirects that don't send visitors anywhere new: http→https, www., a trailing slash.
+function sameDestination(a, b) {
+  const norm = (u) => {
+    const x = new URL(u);
+    return `${x.hostname.replace(/^www\./, "")}${x.pathname.replace(/\/+$/, "")}${x.search}`;
+  };
+  return norm(a) === norm(b);
+}
+
+// One hop: HEAD first, so nothing is downloaded; a GET when the server refuses or fails HEAD
+// (405, 501, and plenty of sites that answer HEAD with 403/404 or drop the connection).
+async function requestHop(url, timeoutMs) {
+  const init = (method) => ({
+    method,
+    redirect: "manual",
+    headers: { "User-Agent": USER_AGENT, Accept: "text/html,*/*" },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  try {
+    const res = await fetch(url, init("HEAD"));
+    if (res.status < 400) return res;
+  } catch (e) {
+    if (e.name === "TimeoutError" || e.name === "AbortError") throw e;
+  }
+  return fetch(url, init("GET"));
+}
+
+// Follows redirects by hand so every hop is recorded.
+export async function checkLink(url, { timeoutMs = 10000 } = {}) {
+  const redirects = [];
+  let current = url;
+  try {
+    for (;;) {
+      const res = await requestHop(current, timeoutMs);
+      if (res.body) await res.body.cancel();
+
+      const location = res.headers.get("location");
+      if (res.status >= 300 && res.status < 400 && location) {
+        if (redirects.length >= MAX_REDIRECTS) {
+          return { status: LINK_OFFLINE, code: res.status, finalUrl: current, redirects, error: "Too many redirects" };
+        }
+        current = new URL(location, current).href;
+        redirects.push({ code: res.status, to: current });
+        continue;
+      }
+
+      const result = { code: res.status, finalUrl: current, redirects };
+      if (res.ok) return { ...result, status: sameDestination(url, current) ? LINK_OK : LINK_REDIRECT };
+      if (BLOCKED_CODES.has(res.status)) return { ...result, status: LINK_UNKNOWN };
+      return { ...result, status: LINK_OFFLINE, error: `HTTP ${res.status}` };
+    }
+  } catch (e) {
+    return { status: LINK_OFFLINE, code: null, finalUrl: current, redirects, error: describeError(e) };
+  }
+}
+
+// Checks each distinct URL once, `concurrency` at a time. Returns { [id]: result }.
+export async function checkResources(rows, { concurrency = 6, timeoutMs, onResult } = {}) {
+  const byUrl = new Map();
+  rows.forEach((r) => {
+    if (!r.link) return;
+    if (!byUrl.has(r.link)) byUrl.set(r.link, []);
+    byUrl.get(r.link).push(r);
+  });
+
+  const queue = Array.from(byUrl.keys());
+  const checked = new Map();
+  async function worker() {
+    while (queue.length) {
+      const url = queue.shift();
+      const result = await checkLink(url, { timeoutMs });
+      checked.set(url, result);
+      if (onResult) byUrl.get(url).forEach((r) => onResult({ title: r.title, url, ...result }));
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  // Keyed in CSV order so the reports read like the sheet.
+  const results = {};
+  rows.forEach((r) => {
+    if (r.link) results[r.id] = { title: r.title, url: r.link, ...checked.get(r.link) };
+  });
+  return results;
+}
+
+export function summarize(results) {
+  const summary = { [LINK_OK]: 0, [LINK_REDIRECT]: 0, [LINK_OFFLINE]: 0, [LINK_UNKNOWN]: 0 };
+  Object.values(results).forEach((r) => summary[r.status]++);
+  return summary;
+}
+
+export function markdownReport({ generatedAt, summary, results }) {
+  const entries = Object.values(results);
+  const lines = [
+    "# Link health",
+    "",
+    `Checked ${entries.length} resources on ${generatedAt}: ` +
+      `${summary.ok} ok, ${summary.redirect} redirecting, ${summary.offline} offline, ${summary.unknown} unknown.`,
+  ];
+  const cell = (s) => String(s ?? "").replace(/\|/g, "\\|");
+  const section = (title, status, detail) => {
+    const list = entries.filter((e) => e.status === status);
+    if (!list.length) return;
+    lines.push("", `## ${title} (${list.length})`, "", "| Resource | URL | Details |", "| --- | --- | --- |");
+    list.forEach((e) => lines.push(`| ${cell(e.title)} | ${cell(e.url)} | ${cell(detail(e))} |`));
+  };
+  section("May be offline", LINK_OFFLINE, (e) => e.error);
+  section("Redirects", LINK_REDIRECT, (e) => `→ ${e.finalUrl}`);
+  section("Unknown (blocked the checker)", LINK_UNKNOWN, (e) => `HTTP ${e.code}`);
+  return lines.join("\n") + "\n";
+}
+
+function parseArgs(argv) {
+  const opts = {
+    csv: path.join(ROOT, "public", "resources.csv"),
+    out: path.join(ROOT, "public", "link-status.json"),
+    report: path.join(ROOT, "link-status.md"),
+    concurrency: 6,
+    timeout: 10000,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--(\w+)$/);
+    if (!m || !(m[1] in opts)) throw new Error(`Unknown option ${argv[i]}`);
+    const value = argv[++i];
+    opts[m[1]] = typeof opts[m[1]] === "number" ? Number(value) : path.resolve(value);
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const { rows } = parseResources(fs.readFileSync(opts.csv, "utf8"));
+  const mark = { [LINK_OK]: "ok  ", [LINK_REDIRECT]: "→   ", [LINK_OFFLINE]: "DOWN", [LINK_UNKNOWN]: "?   " };
+
+  const results = await checkResources(rows, {
+    concurrency: opts.concurrency,
+    timeoutMs: opts.timeout,
+    onResult: (r) =>
+      console.log(`${mark[r.status]} ${r.title} — ${r.url}${r.error ? ` (${r.error})` : r.status === LINK_REDIRECT ? ` → ${r.finalUrl}` : ""}`),
+  });
+  const report = { generatedAt: new Date().toISOString(), summary: summarize(results), results };
+
+  fs.writeFileSync(opts.out, JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(opts.report, markdownReport(report));
+  const { summary } = report;
+  console.log(
+    `\n${summary.ok} ok, ${summary.redirect} redirecting, ${summary.offline} offline, ${summary.unknown} unknown.` +
+      `\nWrote ${path.relative(process.cwd(), opts.out)} and ${path.relative(process.cwd(), opts.report)}.`
+  );
+  process.exit(summary.offline ? 1 : 0);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exit(2);
+  });
+}
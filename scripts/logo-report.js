@@ -0,0 +1,39 @@
+// Report how resources map to files in public/logos: missing logos, orphaned files and duplicates.
+// Usage: node scripts/logo-report.js [path/to/resources.csv]
+// Exits 1 when a resource has no logo. Orphans and duplicates are listed but don't fail.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { logoReport } from "../plugins/logos.js";
+import { parseResources } from "../src/resources.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC_DIR = path.join(ROOT, "public");
+
+const csvPath = path.resolve(process.argv[2] || path.join(PUBLIC_DIR, "resources.csv"));
+const { rows } = parseResources(fs.readFileSync(csvPath, "utf8"));
+const { resolved, missing, orphans, duplicates } = logoReport(rows, PUBLIC_DIR);
+
+// Resolved through a fallback rather than the exact "<slug>.png" the sheet implies.
+const fuzzy = rows.filter((r) => {
+  const l = resolved.get(r.id);
+  return l && l.file && !r.logoUrl && l.file !== r.image.replace(/^\//, "");
+});
+
+const section = (title, lines) => {
+  if (!lines.length) return;
+  console.log(`\n${title} (${lines.length})`);
+  lines.forEach((l) => console.log(`  ${l}`));
+};
+
+section("Missing", missing.map((m) => `${m.title}: ${m.reason}`));
+section("Matched by a fallback name", fuzzy.map((r) => `${r.title} → public/${resolved.get(r.id).file}`));
+section("Orphaned files (no resource uses them)", orphans.map((f) => `public/${f}`));
+section("Identical files", duplicates.map((list) => list.map((f) => `public/${f}`).join(" = ")));
+
+console.log(
+  `\n${rows.length} resources: ${resolved.size} with a logo, ${missing.length} missing; ` +
+    `${orphans.length} orphaned file(s), ${duplicates.length} duplicate group(s).`
+);
+process.exit(missing.length ? 1 : 0);
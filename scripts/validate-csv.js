@@ -0,0 +1,137 @@
+// Validate public/resources.csv before deploying.
+// Usage: node scripts/validate-csv.js [path/to/resources.csv]
+// Exits 1 when any error is found; warnings are printed but don't fail.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Papa from "papaparse";
+import { indexLogoFiles, resolveLogo } from "../plugins/logos.js";
+import { TAXONOMY_FILE, readTaxonomy } from "../plugins/taxonomy.js";
+import { COLUMNS, normalizeRow, resolveColumns, slug } from "../src/resources.js";
+import { canonicalCategory, isDeclared } from "../src/taxonomy.js";
+import { REQUIRED_COLUMNS, canonicalUrl, isValidUrl, validateResource } from "../src/validation.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC_DIR = path.join(ROOT, "public");
+
+const csvPath = path.resolve(process.argv[2] || path.join(PUBLIC_DIR, "resources.csv"));
+const text = fs.readFileSync(csvPath, "utf8");
+
+// Line number (1-based) for a character offset in the file.
+const lineStarts = [0];
+for (let i = 0; i < text.length; i++) if (text[i] === "\n") lineStarts.push(i + 1);
+const lineAt = (offset) => {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo + 1;
+};
+
+// Parse row by row so every record keeps the line it starts on (quoted cells may span lines).
+const records = [];
+let fields = [];
+let cursor = text.indexOf("\n") + 1; // first record starts after the header line
+Papa.parse(text, {
+  header: true,
+  skipEmptyLines: true,
+  step: (res) => {
+    if (!fields.length) fields = res.meta.fields || [];
+    const start = cursor;
+    cursor = res.meta.cursor;
+    // Skip the newline(s) that ended the previous record (and any blank lines).
+    let at = start;
+    while (at < text.length && /[\r\n]/.test(text[at])) at++;
+    records.push({ row: res.data, line: lineAt(at) });
+  },
+});
+
+const errors = [];
+const warnings = [];
+const err = (line, msg) => errors.push({ line, msg });
+const warn = (line, msg) => warnings.push({ line, msg });
+
+if (!fields.length) {
+  err(1, "No header row detected.");
+} else {
+  const cols = resolveColumns(fields, COLUMNS);
+  for (const key of REQUIRED_COLUMNS) {
+    if (!cols[key]) err(1, `Missing required column "${key}" (expected one of: ${COLUMNS[key].join(", ")})`);
+  }
+
+  const logoIndex = indexLogoFiles(PUBLIC_DIR);
+  let taxonomy = null;
+  try {
+    taxonomy = readTaxonomy(PUBLIC_DIR);
+  } catch (e) {
+    err(1, e.message);
+  }
+  const seenUrls = new Map();
+  const seenTitles = new Map();
+  const seenIds = new Map();
+  const categoryLines = new Map();
+
+  records.forEach(({ row, line }, i) => {
+    const r = normalizeRow(row, cols, i);
+    const rawTitle = String((cols.title && row[cols.title]) || "").trim();
+    const label = rawTitle || `row ${i + 1}`;
+
+    for (const p of validateResource({ ...r, title: rawTitle })) err(line, `${label}: ${p.message}`);
+
+    if (r.link && isValidUrl(r.link)) {
+      const key = canonicalUrl(r.link);
+      if (seenUrls.has(key)) err(line, `${label}: Duplicate URL (also on line ${seenUrls.get(key)})`);
+      else seenUrls.set(key, line);
+    }
+
+    if (rawTitle) {
+      const key = slug(rawTitle);
+      if (seenTitles.has(key)) err(line, `${label}: Duplicate name (also on line ${seenTitles.get(key)})`);
+      else seenTitles.set(key, line);
+    }
+
+    if (cols.id && row[cols.id]) {
+      if (seenIds.has(r.id)) err(line, `${label}: Duplicate ID "${r.id}" (also on line ${seenIds.get(r.id)})`);
+      else seenIds.set(r.id, line);
+    }
+
+    r.categories.forEach((c) => {
+      if (taxonomy && !isDeclared(canonicalCategory(c, taxonomy), taxonomy)) {
+        warn(line, `${label}: Category "${c}" is not in ${TAXONOMY_FILE} (add it, or an alias for it)`);
+      }
+      const key = c.toLowerCase();
+      if (!categoryLines.has(key)) categoryLines.set(key, { name: c, lines: [] });
+      categoryLines.get(key).lines.push(line);
+    });
+
+    // Same resolution as the logo build step (plugins/logos.js): case-insensitive, .jpg etc.
+    if (r.logoUrl && !r.logoUrl.startsWith("/") && !isValidUrl(r.logoUrl)) {
+      err(line, `${label}: Invalid logo URL "${r.logoUrl}"`);
+    } else if (r.logoUrl || rawTitle) {
+      const logo = resolveLogo(r, logoIndex, PUBLIC_DIR);
+      if (logo.missing) err(line, `${label}: ${logo.missing}`);
+    }
+  });
+
+  // With a taxonomy, undeclared categories are reported above instead.
+  if (!taxonomy) {
+    for (const { name, lines } of categoryLines.values()) {
+      if (lines.length === 1) warn(lines[0], `Category "${name}" is only used once (typo?)`);
+    }
+  }
+}
+
+const rel = path.relative(process.cwd(), csvPath) || csvPath;
+const print = (kind, list) =>
+  list
+    .sort((a, b) => a.line - b.line)
+    .forEach(({ line, msg }) => console[kind === "error" ? "error" : "warn"](`${rel}:${line}: ${kind}: ${msg}`));
+
+print("warning", warnings);
+print("error", errors);
+console.log(`\n${records.length} rows, ${errors.length} error(s), ${warnings.length} warning(s).`);
+process.exit(errors.length ? 1 : 0);
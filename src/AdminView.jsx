@@ -0,0 +1,388 @@
+// Moderation admin (/admin): review submissions, edit/merge/reorder the draft directory,
+// export resources.csv and read the audit log. Talks to /api/admin. With the shared password the
+// moderator's name isn't checked, and the page and the audit log say so.
+
+import React, { useCallback, useEffect, useState } from "react";
+import { useI18n } from "./i18n.js";
+import { parseList } from "./resources.js";
+import { onLinkClick } from "./router.js";
+
+const API = "/api/admin";
+const SESSION_KEY = "nouns-admin";
+
+const inputClass =
+  "w-full rounded-lg border border-neutral-300 bg-white px-2 py-1 text-sm outline-none focus:border-neutral-900 dark:border-neutral-600 dark:bg-neutral-900 dark:focus:border-neutral-300";
+const buttonClass =
+  "rounded-lg border border-neutral-300 bg-white px-2 py-1 text-xs hover:bg-neutral-50 disabled:opacity-40 dark:border-neutral-600 dark:bg-neutral-900 dark:hover:bg-neutral-800";
+
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+async function api(session, { method = "GET", query = "", body } = {}) {
+  const r = await fetch(`${API}${query}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${session.password}`,
+      "X-Moderator": session.who,
+      ...(body ? { "Content-Type": "application/json" } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!r.ok) {
+    const data = await r.json().catch(() => ({}));
+    // Without a message from the server the page shows admin.requestFailed with the status.
+    const err = new Error(data.error || "");
+    err.status = r.status;
+    throw err;
+  }
+  return r;
+}
+
+async function download(session, query, filename) {
+  const blob = await (await api(session, { query })).blob();
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function Login({ onLogin, error }) {
+  const { t } = useI18n();
+  const [who, setWho] = useState("");
+  const [password, setPassword] = useState("");
+  return (
+    <form
+      className="mx-auto mt-10 max-w-sm space-y-3 rounded-2xl border border-neutral-200 bg-white p-5 shadow-sm dark:border-neutral-700 dark:bg-neutral-900"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onLogin({ who: who.trim(), password });
+      }}
+    >
+      <h2 className="text-lg font-semibold">{t("admin.signInTitle")}</h2>
+      <input className={inputClass} placeholder={t("admin.name")} aria-label={t("admin.name")} value={who} onChange={(e) => setWho(e.target.value)} required />
+      <input
+        className={inputClass}
+        type="password"
+        placeholder={t("admin.password")}
+        aria-label={t("admin.password")}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        required
+      />
+      {error && <p className="text-sm text-red-700 dark:text-red-400">{error}</p>}
+      <button type="submit" className="rounded-xl bg-brand-accent px-4 py-2 text-sm text-brand-accent-text">
+        {t("admin.signIn")}
+      </button>
+    </form>
+  );
+}
+
+const toText = (v) => (Array.isArray(v) ? v.join(", ") : v || "");
+const textValues = (source, keys) => Object.fromEntries(keys.map((k) => [k, toText(source[k])]));
+
+// Inline editor for a set of fields; list fields are edited as comma-separated text. `keys` has
+// to be a constant, or every render would reset the edits.
+function useEditable(source, keys) {
+  const [values, setValues] = useState(() => textValues(source, keys));
+  useEffect(() => setValues(textValues(source, keys)), [source, keys]);
+  const changes = Object.fromEntries(keys.filter((k) => values[k] !== toText(source[k])).map((k) => [k, values[k]]));
+  return { values, setValue: (k, v) => setValues((s) => ({ ...s, [k]: v })), changes, dirty: Object.keys(changes).length > 0 };
+}
+
+const LIST_FIELDS = new Set(["categories", "newCategories", "cardCategories"]);
+const asPayload = (changes) =>
+  Object.fromEntries(Object.entries(changes).map(([k, v]) => [k, LIST_FIELDS.has(k) ? parseList(v) : v]));
+
+const SUBMISSION_KEYS = ["title", "link", "description", "categories", "newCategories", "cardCategories"];
+const RESOURCE_KEYS = ["title", "link", "description", "categories", "cardCategories", "project"];
+
+function SubmissionCard({ sub, busy, onAction, onLogo }) {
+  const { t, locale } = useI18n();
+  const keys = SUBMISSION_KEYS;
+  const ed = useEditable(sub, keys);
+  const pending = sub.status === "pending";
+  return (
+    <li className="rounded-xl border border-neutral-200 bg-white p-3 dark:border-neutral-700 dark:bg-neutral-900">
+      <div className="flex items-center justify-between text-xs text-neutral-500">
+        <span>
+          {new Date(sub.submittedAt).toLocaleString(locale)} {sub.submitter ? `· ${t("admin.submittedBy", { name: sub.submitter })}` : ""}
+        </span>
+        <span
+          className={
+            pending
+              ? "text-amber-700 dark:text-amber-400"
+              : sub.status === "approved"
+              ? "text-green-700 dark:text-green-400"
+              : "text-red-700 dark:text-red-400"
+          }
+        >
+          {t(`admin.status.${sub.status}`)}
+          {sub.reviewedBy ? ` ${t("admin.reviewedBy", { name: sub.reviewedBy })}` : ""}
+        </span>
+      </div>
+      <div className="mt-2 grid gap-2 sm:grid-cols-2">
+        {keys.map((k) => (
+          <label key={k} className={`text-xs ${k === "description" ? "sm:col-span-2" : ""}`}>
+            <span className="text-neutral-500">{t(`admin.field.${k}`)}</span>
+            <input className={inputClass} value={ed.values[k]} disabled={!pending} onChange={(e) => ed.setValue(k, e.target.value)} />
+          </label>
+        ))}
+      </div>
+      {pending && (
+        <div className="mt-3 flex flex-wrap gap-2">
+          <button className={buttonClass} disabled={busy} onClick={() => onAction({ action: "approve", id: sub.id, changes: asPayload(ed.changes) })}>
+            {ed.dirty ? t("admin.approveEdited") : t("admin.approve")}
+          </button>
+          <button
+            className={buttonClass}
+            disabled={busy}
+            onClick={() => {
+              const reason = window.prompt(t("admin.rejectReason"));
+              if (reason !== null) onAction({ action: "reject", id: sub.id, reason });
+            }}
+          >
+            {t("admin.reject")}
+          </button>
+          <button className={buttonClass} disabled={busy || !ed.dirty} onClick={() => onAction({ action: "edit-submission", id: sub.id, changes: asPayload(ed.changes) })}>
+            {t("admin.saveEdits")}
+          </button>
+          {sub.logo && (
+            <button className={buttonClass} onClick={() => onLogo(sub)}>
+              {t("admin.downloadLogo")}
+            </button>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
+
+function ResourceRow({ r, index, total, busy, selected, onSelect, onAction, onMove }) {
+  const { t } = useI18n();
+  const keys = RESOURCE_KEYS;
+  const ed = useEditable(r, keys);
+  return (
+    <tr className="align-top">
+      <td className="p-1">
+        <input type="checkbox" className="accent-brand-accent" checked={selected} onChange={() => onSelect(r.rid)} aria-label={t("admin.select", { title: r.title })} />
+      </td>
+      <td className="p-1 text-xs text-neutral-500">{index + 1}</td>
+      {keys.map((k) => (
+        <td key={k} className="p-1">
+          <input className={inputClass} value={ed.values[k]} onChange={(e) => ed.setValue(k, e.target.value)} aria-label={t("admin.fieldOf", { field: t(`admin.field.${k}`), title: r.title })} />
+        </td>
+      ))}
+      <td className="whitespace-nowrap p-1">
+        <button className={buttonClass} disabled={busy || index === 0} onClick={() => onMove(index, -1)} aria-label={t("admin.moveUp")}>
+          ↑
+        </button>{" "}
+        <button className={buttonClass} disabled={busy || index === total - 1} onClick={() => onMove(index, 1)} aria-label={t("admin.moveDown")}>
+          ↓
+        </button>{" "}
+        <button className={buttonClass} disabled={busy || !ed.dirty} onClick={() => onAction({ action: "edit", rid: r.rid, changes: asPayload(ed.changes) })}>
+          {t("admin.save")}
+        </button>
+      </td>
+    </tr>
+  );
+}
+
+export default function AdminView() {
+  const { t, locale } = useI18n();
+  const [session, setSession] = useState(loadSession);
+  const [data, setData] = useState(null);
+  const [failure, setFailure] = useState(null); // { text } from the server, or { key, vars } of a message in src/locales
+  const [busy, setBusy] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [showReviewed, setShowReviewed] = useState(false);
+
+  const fail = useCallback((e) => {
+    setFailure(e.message ? { text: e.message } : { key: "admin.requestFailed", vars: { status: e.status } });
+    if (e.status === 401 || e.status === 400) {
+      sessionStorage.removeItem(SESSION_KEY);
+      setSession(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    const error = failure && (failure.text || t(failure.key, failure.vars));
+
+  if (!session) return;
+    api(session)
+      .then((r) => r.json())
+      .then((d) => {
+        setData(d);
+        setFailure(null);
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+      })
+      .catch(fail);
+  }, [session, fail]);
+
+  async function act(body) {
+    setBusy(true);
+    try {
+      setData(await (await api(session, { method: "POST", body })).json());
+      setFailure(null);
+    } catch (e) {
+      fail(e);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const error = failure && (failure.text || t(failure.key, failure.vars));
+
+  if (!session) return <Login onLogin={setSession} error={error} />;
+  if (!data) return <div className="mt-6 text-sm text-neutral-600 dark:text-neutral-400">{error || t("results.loading")}</div>;
+
+  const pending = data.submissions.filter((s) => s.status === "pending");
+  const reviewed = data.submissions.filter((s) => s.status !== "pending");
+  const rids = data.resources.map((r) => r.rid);
+
+  const move = (index, delta) => {
+    const next = rids.slice();
+    const [it] = next.splice(index, 1);
+    next.splice(index + delta, 0, it);
+    act({ action: "reorder", rids: next });
+  };
+  const toggleSelected = (rid) =>
+    setSelected((s) => (s.includes(rid) ? s.filter((x) => x !== rid) : [...s, rid].slice(-2)));
+  const titleOf = (rid) => data.resources.find((r) => r.rid === rid)?.title || rid;
+
+  return (
+    <div className="mt-6 space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <a href="/" onClick={onLinkClick} className="text-sm text-neutral-600 hover:underline dark:text-neutral-400">
+          {t("admin.directory")}
+        </a>
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-neutral-600 dark:text-neutral-400">
+            {t("admin.signedInAs", { name: data.moderator.name })}
+            {!data.moderator.verified && <span title={t("admin.unverifiedHint")}> {t("admin.unverifiedName")}</span>}
+          </span>
+          <button className={buttonClass} onClick={() => download(session, "?view=export", "resources.csv").catch(fail)}>
+            {t("admin.export")}
+          </button>
+          <button
+            className={buttonClass}
+            onClick={() => download(session, "?view=export&for=spreadsheet", "resources-spreadsheet.csv").catch(fail)}
+          >
+            {t("admin.exportSpreadsheet")}
+          </button>
+          <button
+            className={buttonClass}
+            onClick={() => {
+              sessionStorage.removeItem(SESSION_KEY);
+              setSession(null);
+              setData(null);
+            }}
+          >
+            {t("admin.signOut")}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="rounded-xl border border-red-300 bg-red-50 p-3 text-sm text-red-800 dark:border-red-800 dark:bg-red-950 dark:text-red-200">{error}</div>}
+
+      <section>
+        <h2 className="text-lg font-semibold">{t("admin.pending", { count: pending.length })}</h2>
+        <ul className="mt-3 space-y-3">
+          {pending.map((s) => (
+            <SubmissionCard
+              key={s.id}
+              sub={s}
+              busy={busy}
+              onAction={act}
+              onLogo={(sub) => download(session, `?view=logo&id=${sub.id}`, sub.logo.split("/").pop()).catch(fail)}
+            />
+          ))}
+          {!pending.length && <li className="text-sm text-neutral-500">{t("admin.nothingPending")}</li>}
+        </ul>
+        {!!reviewed.length && (
+          <button className="mt-3 text-xs underline" onClick={() => setShowReviewed((v) => !v)}>
+            {t(showReviewed ? "admin.hideReviewed" : "admin.showReviewed", { count: reviewed.length })}
+          </button>
+        )}
+        {showReviewed && (
+          <ul className="mt-3 space-y-3">
+            {reviewed.map((s) => (
+              <SubmissionCard key={s.id} sub={s} busy={busy} onAction={act} />
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">{t("admin.resources", { count: data.resources.length })}</h2>
+          <button
+            className={buttonClass}
+            disabled={busy || selected.length !== 2}
+            onClick={() => {
+              const [keep, drop] = selected;
+              if (window.confirm(t("admin.confirmMerge", { drop: titleOf(drop), keep: titleOf(keep) }))) {
+                act({ action: "merge", rid: keep, dropRid: drop }).then(() => setSelected([]));
+              }
+            }}
+          >
+            {selected.length === 2
+              ? t("admin.merge", { drop: titleOf(selected[1]), keep: titleOf(selected[0]) })
+              : t("admin.selectTwo")}
+          </button>
+        </div>
+        <div className="mt-3 overflow-auto rounded-xl border border-neutral-200 bg-white dark:border-neutral-700 dark:bg-neutral-900">
+          <table className="min-w-full text-left">
+            <thead className="text-xs text-neutral-500">
+              <tr>
+                <th className="p-1" />
+                <th className="p-1">#</th>
+                {RESOURCE_KEYS.map((k) => (
+                  <th key={k} className="p-1">
+                    {t(`admin.field.${k}`)}
+                  </th>
+                ))}
+                <th className="p-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {data.resources.map((r, i) => (
+                <ResourceRow
+                  key={r.rid}
+                  r={r}
+                  index={i}
+                  total={data.resources.length}
+                  busy={busy}
+                  selected={selected.includes(r.rid)}
+                  onSelect={toggleSelected}
+                  onAction={act}
+                  onMove={move}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section>
+        <h2 className="text-lg font-semibold">{t("admin.audit")}</h2>
+        <ul className="mt-3 space-y-1 text-xs text-neutral-700 dark:text-neutral-300">
+          {data.audit.map((a, i) => (
+            <li key={i}>
+              <span className="text-neutral-500">{new Date(a.at).toLocaleString(locale)}</span> · <strong>{a.who}</strong>
+              {a.verified === false && <span className="text-neutral-500"> {t("admin.unverified")}</span>} {a.action}
+              {a.target ? ` ${a.target}` : ""} <code className="text-neutral-500">{JSON.stringify(a.details)}</code>
+            </li>
+          ))}
+          {!data.audit.length && <li className="text-neutral-500">{t("admin.noAudit")}</li>}
+        </ul>
+      </section>
+    </div>
+  );
+}
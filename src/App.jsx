@@ -1,10 +1,16 @@
 import React from "react";
 import NounsDirectory from "./NounsDirectory.jsx";
+import { I18nProvider } from "./i18n.js";
+import { ThemeProvider } from "./theme.js";
 
 export default function App() {
   return (
-    <div className="min-h-screen">
-      <NounsDirectory />
-    </div>
+    <I18nProvider>
+      <ThemeProvider>
+        <div className="min-h-screen">
+          <NounsDirectory />
+        </div>
+      </ThemeProvider>
+    </I18nProvider>
   );
 }
\ No newline at end of file
@@ -0,0 +1,346 @@
+// Favorites and collections UI: the star and "add to collection" menu on each result, the
+// collection picker next to the filters, the banner for a shared collection link, and the
+// "My collections" dialog (rename, delete, share, export/import). State lives in src/collections.js.
+
+import React, { useEffect, useRef, useState } from "react";
+import { trapTab } from "./a11y.js";
+import { SCOPE_ALL, SCOPE_FAVORITES, collectionShareUrl, exportCollections } from "./collections.js";
+import { richText, useI18n } from "./i18n.js";
+
+const inputClass =
+  "w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:border-neutral-900 dark:border-neutral-600 dark:bg-neutral-900 dark:focus:border-neutral-300";
+const smallButton =
+  "rounded-lg border border-neutral-300 bg-white px-2 py-1 text-xs hover:bg-neutral-50 dark:border-neutral-600 dark:bg-neutral-900 dark:hover:bg-neutral-800";
+
+export function FavoriteButton({ id, title, collections, className = "" }) {
+  const { t } = useI18n();
+  const on = collections.isFavorite(id);
+  return (
+    <button
+      type="button"
+      aria-pressed={on}
+      aria-label={t("collections.favorite", { title })}
+      title={on ? t("collections.removeFavorite") : t("collections.addFavorite")}
+      onClick={() => collections.toggleFavorite(id)}
+      className={`rounded-lg px-1.5 text-lg leading-none hover:bg-neutral-100 dark:hover:bg-neutral-800 ${on ? "text-amber-500" : "text-neutral-400"} ${className}`}
+    >
+      {on ? "★" : "☆"}
+    </button>
+  );
+}
+
+// The star and the "+" menu for one result: the `actions` ResourceResults shows on each card.
+export function CollectionActions({ r, collections }) {
+  return (
+    <>
+      <FavoriteButton id={r.id} title={r.title} collections={collections} />
+      <CollectionMenu id={r.id} title={r.title} collections={collections} />
+    </>
+  );
+}
+
+// "+" popup with a checkbox per collection and a field for starting a new one.
+export function CollectionMenu({ id, title, collections }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const ref = useRef(null);
+  const buttonRef = useRef(null);
+  const inCount = collections.collections.filter((c) => c.items.includes(id)).length;
+
+  useEffect(() => {
+    if (!open) return;
+    function onDocClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", onDocClick);
+    return () => document.removeEventListener("mousedown", onDocClick);
+  }, [open]);
+
+  function onCreate(e) {
+    e.preventDefault();
+    if (!name.trim()) return;
+    collections.createCollection(name, [id]);
+    setName("");
+  }
+
+  return (
+    <div
+      ref={ref}
+      className="relative"
+      onKeyDown={(e) => {
+        if (e.key === "Escape" && open) {
+          e.stopPropagation();
+          setOpen(false);
+          buttonRef.current?.focus();
+        }
+      }}
+    >
+      <button
+        ref={buttonRef}
+        type="button"
+        aria-haspopup="dialog"
+        aria-expanded={open}
+        aria-label={t("collections.addTo", { title })}
+        title={t("collections.addToShort")}
+        onClick={() => setOpen((o) => !o)}
+        className={`rounded-lg px-1.5 text-lg leading-none hover:bg-neutral-100 dark:hover:bg-neutral-800 ${inCount ? "text-black dark:text-white" : "text-neutral-400"}`}
+      >
+        {inCount ? "✓" : "+"}
+      </button>
+      {open && (
+        <div
+          role="dialog"
+          aria-label={t("collections.menu")}
+          onKeyDown={(e) => trapTab(e, e.currentTarget)}
+          className="absolute right-0 z-40 mt-1 w-60 rounded-xl border border-neutral-200 bg-white p-3 text-sm shadow-2xl dark:border-neutral-700 dark:bg-neutral-900"
+        >
+          {collections.collections.length ? (
+            <ul className="mb-2 max-h-48 space-y-1 overflow-auto">
+              {collections.collections.map((c) => (
+                <li key={c.id}>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 accent-brand-accent"
+                      checked={c.items.includes(id)}
+                      onChange={() => collections.toggleItem(c.id, id)}
+                    />
+                    <span className="min-w-0 flex-1 truncate">{c.name}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mb-2 text-xs text-neutral-500 dark:text-neutral-400">{t("collections.none")}</p>
+          )}
+          <form onSubmit={onCreate} className="flex gap-1">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t("collections.newPlaceholder")}
+              aria-label={t("collections.newLabel")}
+              className="min-w-0 flex-1 rounded-lg border border-neutral-300 px-2 py-1 text-xs outline-none focus:border-neutral-900 dark:border-neutral-600 dark:bg-neutral-900 dark:focus:border-neutral-300"
+            />
+            <button type="submit" className={smallButton}>
+              {t("collections.add")}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Which resources to show: everything, favorites, or one collection.
+export function CollectionPicker({ scope, collections, onChange, onManage }) {
+  const { t } = useI18n();
+  return (
+    <div className="inline-flex items-center gap-1">
+      <select
+        value={scope}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={t("collections.show")}
+        className="rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm dark:border-neutral-600 dark:bg-neutral-900"
+      >
+        <option value={SCOPE_ALL}>{t("collections.all")}</option>
+        <option value={SCOPE_FAVORITES}>{t("collections.favorites", { count: collections.favorites.length })}</option>
+        {collections.collections.map((c) => (
+          <option key={c.id} value={c.id}>
+            {c.name} ({c.items.length})
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={onManage}
+        className="rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm hover:bg-neutral-50 dark:border-neutral-600 dark:bg-neutral-900 dark:hover:bg-neutral-800"
+      >
+        {t("collections.manage")}
+      </button>
+    </div>
+  );
+}
+
+// Shown while viewing a collection someone shared as a link.
+export function SharedCollectionBanner({ shared, onSave, onDismiss }) {
+  const { t } = useI18n();
+  return (
+    <div className="mt-3 flex flex-wrap items-center justify-between gap-2 rounded-xl border border-neutral-300 bg-white/90 px-3 py-2 text-sm dark:border-neutral-600 dark:bg-neutral-900/90">
+      <span>
+        {richText(t("collections.shared", { name: shared.name || t("collections.untitled"), count: shared.ids.length }))}
+      </span>
+      <span className="flex gap-2">
+        <button type="button" onClick={onSave} className={smallButton}>
+          {t("collections.save")}
+        </button>
+        <button type="button" onClick={onDismiss} className={smallButton}>
+          {t("collections.showAll")}
+        </button>
+      </span>
+    </div>
+  );
+}
+
+function downloadJson(text, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Copies the share link; where the clipboard isn't available the link is shown to copy by hand.
+function ShareLink({ collection }) {
+  const { t } = useI18n();
+  const [state, setState] = useState(""); // "" | "copied" | url
+  const url = collectionShareUrl(collection);
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setState("copied");
+    } catch {
+      setState(url);
+    }
+  }
+  return (
+    <>
+      <button type="button" onClick={copy} disabled={!collection.items.length} className={`${smallButton} disabled:opacity-50`}>
+        {state === "copied" ? t("share.copied") : t("share.copy")}
+      </button>
+      {state && state !== "copied" && (
+        <input readOnly value={state} onFocus={(e) => e.target.select()} aria-label={t("share.label")} className={`${inputClass} mt-1 text-xs`} />
+      )}
+    </>
+  );
+}
+
+export default function CollectionsManager({ collections, onView, onClose }) {
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const [message, setMessage] = useState("");
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    dialogRef.current?.querySelector("input")?.focus();
+  }, []);
+
+  function onCreate(e) {
+    e.preventDefault();
+    if (!name.trim()) return;
+    collections.createCollection(name);
+    setName("");
+  }
+
+  async function onImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const added = collections.importJson(await file.text());
+      setMessage(
+        t("manage.imported", {
+          collections: t("manage.importedCollections", { count: added.collections.length }),
+          favorites: t("manage.importedFavorites", { count: added.favorites.length }),
+        })
+      );
+    } catch {
+      setMessage(t("manage.importFailed"));
+    }
+  }
+
+  const favorites = { name: t("manage.favoritesName"), items: collections.favorites };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center overflow-auto bg-black/40 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="collections-title"
+      onKeyDown={(e) => {
+        if (e.key === "Escape") onClose();
+        trapTab(e, dialogRef.current);
+      }}
+    >
+      <div ref={dialogRef} className="mt-10 w-full max-w-xl rounded-2xl bg-white p-5 shadow-2xl dark:bg-neutral-900">
+        <div className="flex items-center justify-between">
+          <h2 id="collections-title" className="text-lg font-semibold">{t("manage.title")}</h2>
+          <button type="button" onClick={onClose} className="rounded-lg px-2 py-1 text-sm hover:bg-neutral-100 dark:hover:bg-neutral-800" aria-label={t("actions.close")}>
+            ✕
+          </button>
+        </div>
+        <p className="mt-1 text-xs text-neutral-500 dark:text-neutral-400">{t("manage.note")}</p>
+
+        <form onSubmit={onCreate} className="mt-4 flex gap-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t("manage.newPlaceholder")}
+            aria-label={t("collections.newLabel")}
+            className={inputClass}
+          />
+          <button type="submit" className="rounded-xl bg-brand-accent px-4 py-2 text-sm text-brand-accent-text">
+            {t("manage.create")}
+          </button>
+        </form>
+
+        <ul className="mt-4 divide-y divide-neutral-100 text-sm dark:divide-neutral-800">
+          <li className="py-2">
+            <div className="flex items-center gap-2">
+              <span className="min-w-0 flex-1 font-medium">{t("manage.favorites", { count: favorites.items.length })}</span>
+              <button type="button" onClick={() => onView(SCOPE_FAVORITES)} className={smallButton}>
+                {t("manage.view")}
+              </button>
+              <ShareLink collection={favorites} />
+            </div>
+          </li>
+          {collections.collections.map((c) => (
+            <li key={c.id} className="py-2">
+              <div className="flex items-center gap-2">
+                <input
+                  defaultValue={c.name}
+                  aria-label={t("manage.rename", { name: c.name })}
+                  onBlur={(e) => e.target.value.trim() && e.target.value !== c.name && collections.renameCollection(c.id, e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                  className="min-w-0 flex-1 rounded-lg border border-transparent px-2 py-1 hover:border-neutral-300 focus:border-neutral-900 focus:outline-none dark:hover:border-neutral-600 dark:focus:border-neutral-300"
+                />
+                <span className="text-xs tabular-nums text-neutral-500 dark:text-neutral-400">{c.items.length}</span>
+                <button type="button" onClick={() => onView(c.id)} className={smallButton}>
+                  {t("manage.view")}
+                </button>
+                <ShareLink collection={c} />
+                <button
+                  type="button"
+                  onClick={() => window.confirm(t("manage.confirmDelete", { name: c.name })) && collections.deleteCollection(c.id)}
+                  className={`${smallButton} text-red-700 dark:text-red-400`}
+                >
+                  {t("manage.delete")}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="mt-4 flex flex-wrap items-center gap-2 border-t border-neutral-200 pt-4 dark:border-neutral-700">
+          <button
+            type="button"
+            onClick={() => downloadJson(exportCollections(collections), "nouns-directory-collections.json")}
+            className="rounded-xl border border-neutral-300 px-4 py-2 text-sm hover:bg-neutral-50 dark:border-neutral-600 dark:hover:bg-neutral-800"
+          >
+            {t("manage.export")}
+          </button>
+          <label className="cursor-pointer rounded-xl border border-neutral-300 px-4 py-2 text-sm hover:bg-neutral-50 focus-within:ring-2 focus-within:ring-neutral-900 dark:border-neutral-600 dark:hover:bg-neutral-800 dark:focus-within:ring-neutral-300">
+            {t("manage.import")}
+            <input type="file" accept="application/json,.json" onChange={onImport} className="sr-only" />
+          </label>
+          {message && (
+            <span role="status" className="text-xs text-neutral-600 dark:text-neutral-400">
+              {message}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+// Off-site link warning, shown next to result counts and outbound links.
+// A tooltip in the WAI-ARIA sense: shown on hover and on keyboard focus, Escape hides it,
+// and the button is described by its text. Clicking pins it open on touch screens.
+
+import React, { useEffect, useId, useRef, useState } from "react";
+import { richText, useI18n } from "./i18n.js";
+
+export default function Disclaimer() {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+  const tipId = useId();
+
+  useEffect(() => {
+    if (!open) return;
+    function onDocClick(e) {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", onDocClick);
+    return () => document.removeEventListener("mousedown", onDocClick);
+  }, [open]);
+
+  return (
+    <div className="flex items-center gap-2 text-xs text-neutral-600 dark:text-neutral-400">
+      <span className="font-medium">{t("disclaimer.label")}</span>
+      <div
+        ref={ref}
+        className="relative"
+        onMouseEnter={() => setOpen(true)}
+        onMouseLeave={() => setOpen(false)}
+      >
+        <button
+          type="button"
+          aria-label={t("disclaimer.info")}
+          aria-describedby={tipId}
+          aria-expanded={open}
+          onClick={() => setOpen((v) => !v)}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape" && open) {
+              e.stopPropagation();
+              setOpen(false);
+            }
+          }}
+          className="flex h-5 w-5 items-center justify-center rounded-full border border-neutral-300 text-[10px] leading-none dark:border-neutral-600"
+        >
+          i
+        </button>
+        <div
+          id={tipId}
+          role="tooltip"
+          className={`absolute right-0 top-full z-40 mt-2 w-80 rounded-lg border border-neutral-200 bg-white p-3 text-xs text-neutral-800 shadow-lg transition dark:border-neutral-700 dark:bg-neutral-900 dark:text-neutral-200 motion-reduce:transition-none ${
+            open ? "opacity-100 scale-100" : "pointer-events-none invisible opacity-0 scale-95"
+          }`}
+        >
+          {richText(t("disclaimer.text"))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+// The directory as a widget for other sites: /embed.html?c=art&max=6&layout=grid&theme=dark
+// Filters use the site's URL parameters (q, c, x, m, lang); `max` caps the items, `layout` is grid
+// or list, `theme` is light, dark or auto, `heading` adds a title. Rows come from the same data
+// source as the site and render with the same cards. The page reports its height to the parent
+// window so <nouns-resources> (src/embedLoader.js) can size the iframe.
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useMediaQuery } from "./a11y.js";
+import { DATA_CONFIG, loadDirectory } from "./dataSources.js";
+import { filterByCategories } from "./filters.js";
+import { localeParam, localizeRow, useI18n } from "./i18n.js";
+import { groupProjects } from "./projects.js";
+import { canonicalFilters } from "./taxonomy.js";
+import { CardGrid, ResourceTable } from "./ResourceResults.jsx";
+import { searchResources } from "./search.js";
+import { filterStateToSearch, readFilterState } from "./urlState.js";
+import { LAYOUT_GRID, LAYOUT_LIST } from "./viewOptions.js";
+
+export const EMBED_HEIGHT_MESSAGE = "nouns-resources:height";
+const DEFAULT_MAX = 6;
+const MAX_ITEMS = 50;
+
+export function readEmbedOptions(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const max = parseInt(params.get("max"), 10);
+  const theme = params.get("theme");
+  return {
+    filters: readFilterState(search),
+    max: Number.isFinite(max) && max > 0 ? Math.min(max, MAX_ITEMS) : DEFAULT_MAX,
+    layout: params.get("layout") === LAYOUT_LIST ? LAYOUT_LIST : LAYOUT_GRID,
+    theme: theme === "dark" || theme === "auto" ? theme : "light",
+    heading: (params.get("heading") || "").trim(),
+  };
+}
+
+// Keep the parent's iframe as tall as the content.
+function useReportHeight(ref) {
+  useEffect(() => {
+    if (window.parent === window || !ref.current || typeof ResizeObserver === "undefined") return;
+    const report = () =>
+      window.parent.postMessage({ type: EMBED_HEIGHT_MESSAGE, height: Math.ceil(ref.current.offsetHeight) }, "*");
+    const observer = new ResizeObserver(report);
+    observer.observe(ref.current);
+    report();
+    return () => observer.disconnect();
+  }, [ref]);
+}
+
+export default function EmbedView() {
+  const { locale, t } = useI18n();
+  const [options] = useState(readEmbedOptions);
+  const [rows, setRows] = useState([]);
+  const [taxonomy, setTaxonomy] = useState(null);
+  const [status, setStatus] = useState("loading"); // loading | ready | failed
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const ref = useRef(null);
+  useReportHeight(ref);
+
+  useEffect(() => {
+    let aborted = false;
+    loadDirectory(DATA_CONFIG)
+      .then((res) => {
+        if (aborted) return;
+        setRows(res.rows);
+        setTaxonomy(res.taxonomy);
+        setStatus("ready");
+      })
+      .catch((e) => {
+        console.error("Embed load error:", e);
+        if (!aborted) setStatus("failed");
+      });
+    return () => {
+      aborted = true;
+    };
+  }, []);
+
+  const { filters } = options;
+  const cards = useMemo(() => groupProjects(rows.map((r) => localizeRow(r, locale))), [rows, locale]);
+  const searched = useMemo(() => searchResources(cards, filters.query), [cards, filters]);
+  const shown = useMemo(
+    () =>
+      filterByCategories(
+        searched.rows,
+        canonicalFilters({ include: filters.tags, exclude: filters.excluded, mode: filters.mode }, taxonomy)
+      ),
+    [searched, filters, taxonomy]
+  );
+
+  const dark = options.theme === "dark" || (options.theme === "auto" && prefersDark);
+  const allUrl = `${window.location.origin}/${filterStateToSearch({ ...filters, lang: localeParam(locale) })}`;
+  const props = {
+    rows: shown.slice(0, options.max),
+    words: searched.words,
+    newTab: true,
+    flagFor: () => null,
+    detailTarget: "_blank",
+  };
+
+  return (
+    <div className={dark ? "dark" : ""}>
+      <div ref={ref} className="p-1 text-neutral-900 dark:text-neutral-100">
+        {options.heading && <h2 className="mb-3 text-lg font-semibold">{options.heading}</h2>}
+        {status === "loading" ? (
+          <p className="text-sm text-neutral-600 dark:text-neutral-400">{t("embed.loading")}</p>
+        ) : status === "failed" ? (
+          <p className="text-sm text-neutral-600 dark:text-neutral-400">{t("embed.unavailable")}</p>
+        ) : options.layout === LAYOUT_LIST ? (
+          <ResourceTable {...props} />
+        ) : (
+          <CardGrid {...props} />
+        )}
+        <p className="mt-3 text-right text-sm">
+          <a href={allUrl} target="_blank" rel="noopener" className="underline underline-offset-4">
+            {shown.length > options.max ? t("embed.seeAll", { count: shown.length }) : t("embed.more")}
+          </a>
+        </p>
+      </div>
+    </div>
+  );
+}
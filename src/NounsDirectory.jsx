@@ -1,281 +1,391 @@
 // v40 — Desktop categories dropdown (multi-select) + existing mobile dropdown.
 // Replaces the desktop pill grid with a compact dropdown next to the search.
-// Keeps local /public/resources.csv loader (no Google Sheets dependency).
+// Rows come from the data-source layer (bundled CSV by default, see dataSources.js); the category
+// list follows the taxonomy (public/taxonomy.json, see taxonomy.js).
 
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import Papa from "papaparse";
-
+import { DATA_CONFIG, loadDirectory } from "./dataSources.js";
+import { formatCachedAt, onDataFromCache } from "./offline.js";
+import { slug } from "./resources.js";
+import {
+  MATCH_ALL,
+  MATCH_ANY,
+  countsIfIncluded,
+  cycleTagState,
+  filterByCategories,
+  tagState,
+} from "./filters.js";
+import AdminView from "./AdminView.jsx";
+import TrendingStrip, { trendingRows } from "./TrendingStrip.jsx";
+import CollectionsManager, { CollectionActions, CollectionPicker, SharedCollectionBanner } from "./CollectionsManager.jsx";
+import Disclaimer from "./Disclaimer.jsx";
+import ResourceDetail from "./ResourceDetail.jsx";
+import ResourceResults, { ViewControls } from "./ResourceResults.jsx";
+import SubmitResourceForm from "./SubmitResourceForm.jsx";
+import { isTypingTarget, listKeyTarget, trapTab, usePrefersReducedMotion, useSettledText } from "./a11y.js";
+import { cardCounts, loadClickStats } from "./analytics.js";
+import { SCOPE_ALL, SCOPE_FAVORITES, scopeIds, useCollections } from "./collections.js";
+import { LOCALE_NAMES, categoryLabels, localeParam, localizeRow, richText, useI18n } from "./i18n.js";
+import { hideFlagged, linkFlag, loadLinkStatus } from "./linkHealth.js";
+import { groupProjects } from "./projects.js";
+import { ROUTE_EVENT, parseRoute, useRoute } from "./router.js";
+import { searchResources } from "./search.js";
+import { SITE, siteText } from "./site.js";
+import { canonicalCategory, categoryInfo, orderCategories } from "./taxonomy.js";
+import { THEMES, THEME_DARK, THEME_LIGHT, THEME_SYSTEM, useTheme } from "./theme.js";
+import { readFilterState, writeFilterState } from "./urlState.js";
+import { SORT_DEFAULT, availableSorts, readViewPrefs, sortResources, writeViewPrefs } from "./viewOptions.js";
+
+// Branding, header and background art come from site.config.json (see site.js).
 const CONFIG = {
-  SHEET_CSV_URL: "/resources.csv",
-  COLUMNS: {
-    title: ["Name (with url hyperlinked)", "Name", "Title"],
-    link: ["URL", "Link"],
-    description: ["Description", "About"],
-    categories: ["Category"], // used for FILTERS
-    cardCategories: ["Card Categories", "Card categories"], // shown as chips on CARDS
-    hiddenTags: ["Hidden tags", "Hidden Tags", "Search tags", "Search Keywords"],
-    logoUrl: ["Logo URL", "Logo url", "Image URL"],
-    image: ["Logo", "Image"]
-  },
-  site: {
-    openLinksInNewTab: true,
-    stickyHeader: false,
-    art: {
-      desktop: [
-        { file: "/images/resource-gif-1.gif", leftVW: 3,  topVH: 18, size: 220 },
-        { file: "/images/resource-gif-2.gif", rightVW: 4, topVH: 14, size: 170 },
-        { file: "/images/resource-gif-4.gif", leftVW: 12,  topVH: 60, size: 270 },
-        { file: "/images/resource-gif-3.gif", rightVW: 6, topVH: 88, size: 270 },
-        { file: "/images/resource-gif-5.gif", rightVW: 9, topVH: 36, size: 200 },
-        { file: "/images/resource-gif-2.gif", leftVW: 10, topVH: 92, size: 180 },
-        { file: "/images/resource-gif-6.gif", rightVW: 18, topVH: 60, size: 200 }
-      ],
-      mobile: [
-        { file: "/images/resource-gif-1.gif", leftVW: 3,  topVH: 18, size: 220 },
-        { file: "/images/resource-gif-2.gif", rightVW: 4, topVH: 14, size: 170 },
-        { file: "/images/resource-gif-4.gif", leftVW: 12,  topVH: 60, size: 270 },
-        { file: "/images/resource-gif-3.gif", rightVW: 6, topVH: 88, size: 270 },
-        { file: "/images/resource-gif-5.gif", rightVW: 9, topVH: 36, size: 200 },
-        { file: "/images/resource-gif-2.gif", leftVW: 10, topVH: 92, size: 180 },
-        { file: "/images/resource-gif-6.gif", rightVW: 18, topVH: 60, size: 200 }
-      ],
-      breakpoint: 1024,
-      opacity: 0.34
-    }
-  }
+  DATA: DATA_CONFIG,
+  site: SITE,
 };
 
-const slug = (s) =>
-  (s || "")
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/(^-|-$)+/g, "");
-
-const parseList = (val) =>
-  (val || "")
-    .split(/[;,]/)
-    .map((v) => v.trim())
-    .filter(Boolean);
-
-function resolveColumns(fields, candidatesMap) {
-  const lowerIndex = new Map(fields.map((f) => [f.toLowerCase().trim(), f]));
-  const pick = (arr) => {
-    for (const name of arr) {
-      const found = lowerIndex.get(String(name).toLowerCase());
-      if (found) return found;
-    }
-    return null;
-  };
-  return {
-    title: pick(candidatesMap.title),
-    link: pick(candidatesMap.link),
-    description: pick(candidatesMap.description),
-    categories: pick(candidatesMap.categories),
-    cardCategories: pick(candidatesMap.cardCategories),
-    hiddenTags: pick(candidatesMap.hiddenTags),
-    logoUrl: pick(candidatesMap.logoUrl),
-    image: pick(candidatesMap.image),
-  };
+function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t("header.language")}
+      className="rounded-xl border border-brand-header-text/30 bg-brand-header px-2 py-2 text-sm text-brand-header-text hover:bg-brand-header-text/10"
+    >
+      {Object.entries(LOCALE_NAMES).map(([code, name]) => (
+        <option key={code} value={code} lang={code}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
 }
 
-function Disclaimer() {
-  const [open, setOpen] = useState(false);
+// Cycles system → light → dark (see theme.js); the icon shows the current choice.
+const THEME_ICONS = { [THEME_SYSTEM]: "◐", [THEME_LIGHT]: "☀︎", [THEME_DARK]: "☾" };
+
+function ThemeToggle() {
+  const { t } = useI18n();
+  const { mode, setMode } = useTheme();
+  const next = THEMES[(THEMES.indexOf(mode) + 1) % THEMES.length];
+  const label = t("theme.toggle", { mode: t(`theme.${mode}`), next: t(`theme.${next}`) });
   return (
-    <div className="flex items-center gap-2 text-xs text-neutral-600">
-      <span className="font-medium">Disclaimer</span>
-      <div
-        className="relative"
-        onMouseEnter={() => setOpen(true)}
-        onMouseLeave={() => setOpen(false)}
-      >
-        <button
-          type="button"
-          aria-label="Disclaimer information"
-          onClick={() => setOpen((v) => !v)}
-          className="flex h-5 w-5 items-center justify-center rounded-full border border-neutral-300 text-[10px] leading-none"
-        >
-          i
-        </button>
-        <div
-          className={`absolute right-0 top-full mt-2 w-80 rounded-lg border border-neutral-200 bg-white p-3 text-xs text-neutral-800 shadow-lg transition ${
-            open ? "opacity-100 scale-100" : "pointer-events-none opacity-0 scale-95"
-          }`}
-        >
-          <strong>Warning.</strong> Links lead off of nouns.world. Please make sure to do your own
-          research and only click links or connect to websites you trust.
-        </div>
-      </div>
-    </div>
+    <button
+      type="button"
+      onClick={() => setMode(next)}
+      aria-label={label}
+      title={label}
+      className="flex h-9 w-9 items-center justify-center rounded-xl border border-brand-header-text/30 text-base hover:bg-brand-header-text/10"
+    >
+      <span aria-hidden="true">{THEME_ICONS[mode]}</span>
+    </button>
   );
 }
 
 function Header() {
-  const stick = CONFIG.site.stickyHeader;
+  const { stickyHeader: stick, logo, title, headerLinks } = CONFIG.site;
+  const { locale } = useI18n();
   return (
-    <div className={`${stick ? "sticky top-0" : ""} z-30 w-full bg-black text-white`}>
+    <div className={`${stick ? "sticky top-0" : ""} z-30 w-full bg-brand-header text-brand-header-text`}>
       <div className="flex w-full items-center justify-between gap-3 px-4 py-3">
         <div className="flex items-center gap-3">
-          <div className="flex h-10 w-10 items-center justify-center overflow-hidden">
-            <img
-              src="/nouns-world-globe.gif"
-              alt="Nouns.world"
-              className="h-full w-full object-contain"
-              onError={(e) => e.currentTarget.remove()}
-            />
-          </div>
-          <h1 className="text-xl font-bold tracking-tight md:text-2xl">RESOURCES.NOUNS.WORLD</h1>
+          {logo.src && (
+            <div className="flex h-10 w-10 items-center justify-center overflow-hidden">
+              <img
+                src={logo.src}
+                alt={siteText(logo.alt, locale)}
+                className="h-full w-full object-contain"
+                onError={(e) => e.currentTarget.remove()}
+              />
+            </div>
+          )}
+          <h1 className="text-xl font-bold tracking-tight md:text-2xl">{siteText(title, locale)}</h1>
         </div>
         <div className="flex items-center gap-2">
-          <a
-            href="https://nouns.world"
-            className="rounded-xl border border-white/30 px-3 py-2 text-sm text-white hover:bg-white/10"
-          >
-            Home
-          </a>
-          <a
-            href="https://nouns.world/explore"
-            className="hidden md:inline-flex rounded-xl border border-white/30 px-3 py-2 text-sm text-white hover:bg-white/10"
-          >
-            Explore Projects
-          </a>
+          {headerLinks.map((link) => (
+            <a
+              key={link.href}
+              href={link.href}
+              className={`${
+                link.desktopOnly ? "hidden md:inline-flex" : ""
+              } rounded-xl border border-brand-header-text/30 px-3 py-2 text-sm hover:bg-brand-header-text/10`}
+            >
+              {siteText(link.label, locale)}
+            </a>
+          ))}
+          <LanguageSwitcher />
+          <ThemeToggle />
         </div>
       </div>
     </div>
   );
 }
 
-// Mobile dropdown filters (unchanged)
-function MobileFilters({ tags, selected, onToggle, onClear }) {
+const CHEVRON = (
+  <path d="M5.23 7.21a.75.75 0 011.06.02L10 10.94l3.71-3.71a.75.75 0 111.06 1.06l-4.24 4.24a.75.75 0 01-1.06 0L5.21 8.29a.75.75 0 01.02-1.08z" />
+);
+
+function selectionLabel(filters, t) {
+  const n = filters.include.length + filters.exclude.length;
+  return n ? t("filters.selected", { count: n }) : t("filters.none");
+}
+
+// "Match any / Match all" switch for included categories
+function MatchModeToggle({ mode, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="inline-flex overflow-hidden rounded-lg border border-neutral-300 text-xs dark:border-neutral-600" role="group" aria-label={t("filters.matchMode")}>
+      {[
+        [MATCH_ANY, t("filters.matchAny")],
+        [MATCH_ALL, t("filters.matchAll")],
+      ].map(([value, label]) => (
+        <button
+          key={value}
+          type="button"
+          aria-pressed={mode === value}
+          onClick={() => onChange(value)}
+          className={`px-2 py-1 ${
+            mode === value
+              ? "bg-brand-accent text-brand-accent-text"
+              : "bg-white text-neutral-700 hover:bg-neutral-50 dark:bg-neutral-900 dark:text-neutral-300 dark:hover:bg-neutral-800"
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Tri-state category option: off → include (✓) → exclude (✕), with the count it would show.
+// An option of the category listbox; the listbox keeps focus and points at the active option.
+// `info` is how the category shows (see categoryInfo in taxonomy.js): its name in the current
+// language, icon, description and depth, indented under its parent; `tag` is what the filters use.
+function CategoryOption({ id, tag, info, state, count, active, onToggle }) {
+  const { t } = useI18n();
+  return (
+    <li
+      id={id}
+      role="option"
+      aria-selected={state === "include"}
+      aria-label={t("filters.option", { tag: info.label, state: t(`filters.state.${state}`), count })}
+      title={info.description || undefined}
+      onClick={() => onToggle(tag)}
+      style={info.depth ? { paddingLeft: `${info.depth * 1.25 + 0.25}rem` } : undefined}
+      className={`flex w-full cursor-pointer break-inside-avoid items-center gap-2 rounded px-1 text-left ${
+        active ? "bg-neutral-100 outline outline-1 outline-neutral-400 dark:bg-neutral-800 dark:outline-neutral-500" : ""
+      } ${count === 0 && state === "off" ? "text-neutral-400 dark:text-neutral-500" : ""}`}
+    >
+      <span
+        aria-hidden="true"
+        className={`flex h-4 w-4 shrink-0 items-center justify-center rounded border text-[10px] leading-none ${
+          state === "include"
+            ? "border-brand-accent bg-brand-accent text-brand-accent-text"
+            : state === "exclude"
+            ? "border-red-600 bg-red-600 text-white"
+            : "border-neutral-400 bg-white dark:border-neutral-500 dark:bg-neutral-900"
+        }`}
+      >
+        {state === "include" ? "✓" : state === "exclude" ? "✕" : ""}
+      </span>
+      <span className={`min-w-0 flex-1 truncate text-sm ${state === "exclude" ? "line-through" : ""}`}>
+        {info.icon && (
+          <span aria-hidden="true" className="mr-1">
+            {info.icon}
+          </span>
+        )}
+        {info.label}
+      </span>
+      <span className="text-xs tabular-nums text-neutral-500 dark:text-neutral-400">{count}</span>
+    </li>
+  );
+}
+
+// Panel contents shared by the mobile and desktop dropdowns. The categories are a multi-select
+// listbox: arrows/Home/End move, Space or Enter cycles the active category.
+function CategoryPanel({ idPrefix, listClassName, tags, tagInfo, filters, counts, onToggle, onModeChange, onClear }) {
+  const { t } = useI18n();
+  const anySelected = filters.include.length + filters.exclude.length > 0;
+  const [active, setActive] = useState(0);
+  const optionId = (t) => `${idPrefix}-${slug(t)}`;
+  const activeTag = tags[Math.min(active, tags.length - 1)];
+  const activeId = activeTag ? optionId(activeTag) : "";
+
+  useEffect(() => {
+    if (activeId) document.getElementById(activeId)?.scrollIntoView?.({ block: "nearest" });
+  }, [activeId]);
+
+  function onKeyDown(e) {
+    const next = listKeyTarget(e.key, active, tags.length);
+    if (next !== null) {
+      e.preventDefault();
+      setActive(next);
+    } else if ((e.key === " " || e.key === "Enter") && activeTag) {
+      e.preventDefault();
+      onToggle(activeTag);
+    }
+  }
+
+  return (
+    <>
+      <div className="mb-2 flex items-center justify-between gap-2 text-xs text-neutral-600 dark:text-neutral-400">
+        <span>{t("filters.count", { count: tags.length })}</span>
+        <MatchModeToggle mode={filters.mode} onChange={onModeChange} />
+        {anySelected ? <button onClick={onClear} className="underline">{t("actions.clear")}</button> : null}
+      </div>
+      <p id={`${idPrefix}-help`} className="mb-2 text-[11px] text-neutral-500 dark:text-neutral-400">
+        {t("filters.help")}
+      </p>
+      <ul
+        role="listbox"
+        aria-multiselectable="true"
+        aria-label={t("filters.list")}
+        aria-describedby={`${idPrefix}-help`}
+        aria-activedescendant={activeTag ? optionId(activeTag) : undefined}
+        tabIndex={0}
+        onKeyDown={onKeyDown}
+        className={`rounded outline-none focus-visible:ring-2 focus-visible:ring-neutral-900 dark:focus-visible:ring-neutral-300 ${listClassName}`}
+      >
+        {tags.map((t, i) => (
+          <CategoryOption
+            key={t}
+            id={optionId(t)}
+            tag={t}
+            info={tagInfo(t)}
+            state={tagState(t, filters)}
+            count={counts.get(t) ?? 0}
+            active={i === active}
+            onToggle={(tag) => {
+              setActive(i);
+              onToggle(tag);
+            }}
+          />
+        ))}
+      </ul>
+    </>
+  );
+}
+
+// Mobile dropdown filters (a disclosure: the panel opens in place below the button)
+function MobileFilters(props) {
+  const { t } = useI18n();
   const [open, setOpen] = useState(false);
-  const anySelected = selected.length > 0;
+  const buttonRef = useRef(null);
+  const panelId = "mobile-category-panel";
+
   return (
-    <div className="md:hidden">
+    <div
+      className="md:hidden"
+      onKeyDown={(e) => {
+        if (e.key === "Escape" && open) {
+          setOpen(false);
+          buttonRef.current?.focus();
+        }
+      }}
+    >
       <button
+        ref={buttonRef}
         type="button"
+        aria-expanded={open}
+        aria-controls={panelId}
         onClick={() => setOpen((o) => !o)}
-        className="inline-flex w-full items-center justify-between rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm"
+        className="inline-flex w-full items-center justify-between rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm dark:border-neutral-600 dark:bg-neutral-900"
       >
-        <span className="font-medium">Filter categories</span>
-        <span className="flex items-center gap-2 text-xs text-neutral-600">
-          {anySelected ? `${selected.length} selected` : "None"}
+        <span className="font-medium">{t("filters.title")}</span>
+        <span className="flex items-center gap-2 text-xs text-neutral-600 dark:text-neutral-400">
+          {selectionLabel(props.filters, t)}
           <svg
             width="16"
             height="16"
             viewBox="0 0 20 20"
             fill="currentColor"
-            className={`transition ${open ? "rotate-180" : ""}`}
+            className={`transition motion-reduce:transition-none ${open ? "rotate-180" : ""}`}
             aria-hidden="true"
           >
-            <path d="M5.23 7.21a.75.75 0 011.06.02L10 10.94l3.71-3.71a.75.75 0 111.06 1.06l-4.24 4.24a.75.75 0 01-1.06 0L5.21 8.29a.75.75 0 01.02-1.08z" />
+            {CHEVRON}
           </svg>
         </span>
       </button>
 
       {open && (
-        <div className="mt-2 max-h-72 overflow-auto rounded-xl border border-neutral-200 bg-white p-3 shadow-lg">
-          <div className="mb-2 flex items-center justify-between text-xs text-neutral-600">
-            <span>{tags.length} categories</span>
-            {anySelected && <button onClick={onClear} className="underline">Clear</button>}
-          </div>
-          <ul className="space-y-2">
-            {tags.map((t) => {
-              const checked = selected.some((x) => slug(x) === slug(t));
-              const id = `tag-${slug(t)}`;
-              return (
-                <li key={t}>
-                  <label htmlFor={id} className="flex items-center gap-2">
-                    <input
-                      id={id}
-                      type="checkbox"
-                      className="h-4 w-4 accent-black"
-                      checked={checked}
-                      onChange={() => onToggle(t)}
-                    />
-                    <span className="text-sm">{t}</span>
-                  </label>
-                </li>
-              );
-            })}
-          </ul>
+        <div id={panelId} className="mt-2 max-h-72 overflow-auto rounded-xl border border-neutral-200 bg-white p-3 shadow-lg dark:border-neutral-700 dark:bg-neutral-900">
+          <CategoryPanel idPrefix="tag" listClassName="space-y-2" {...props} />
         </div>
       )}
     </div>
   );
 }
 
-// Desktop dropdown filters
-function DesktopFilters({ tags, selected, onToggle, onClear }) {
+// Desktop dropdown filters (a popup dialog: focus moves into it and stays there until it closes)
+function DesktopFilters(props) {
+  const { t } = useI18n();
   const [open, setOpen] = useState(false);
   const ref = useRef(null);
-  const anySelected = selected.length > 0;
+  const buttonRef = useRef(null);
+  const panelRef = useRef(null);
+  const panelId = "desktop-category-panel";
+
+  const close = (refocus) => {
+    setOpen(false);
+    if (refocus) buttonRef.current?.focus();
+  };
 
   useEffect(() => {
     function onDocClick(e) {
       if (!ref.current) return;
       if (!ref.current.contains(e.target)) setOpen(false);
     }
-    function onKey(e) {
-      if (e.key === "Escape") setOpen(false);
-    }
     document.addEventListener("mousedown", onDocClick);
-    document.addEventListener("keydown", onKey);
-    return () => {
-      document.removeEventListener("mousedown", onDocClick);
-      document.removeEventListener("keydown", onKey);
-    };
+    return () => document.removeEventListener("mousedown", onDocClick);
   }, []);
 
+  useEffect(() => {
+    if (open) panelRef.current?.querySelector('[role="listbox"]')?.focus();
+  }, [open]);
+
   return (
-    <div className="relative hidden md:block" ref={ref}>
+    <div
+      className="relative hidden md:block"
+      ref={ref}
+      onKeyDown={(e) => {
+        if (e.key === "Escape" && open) {
+          e.stopPropagation();
+          close(true);
+        }
+      }}
+    >
       <button
+        ref={buttonRef}
         type="button"
+        aria-haspopup="dialog"
+        aria-expanded={open}
+        aria-controls={panelId}
         onClick={() => setOpen((o) => !o)}
-        className="inline-flex items-center gap-2 rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm"
+        className="inline-flex items-center gap-2 rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm dark:border-neutral-600 dark:bg-neutral-900"
       >
-        <span className="font-medium">Filter categories</span>
-        <span className="text-xs text-neutral-600">
-          {anySelected ? `${selected.length} selected` : "None"}
-        </span>
+        <span className="font-medium">{t("filters.title")}</span>
+        <span className="text-xs text-neutral-600 dark:text-neutral-400">{selectionLabel(props.filters, t)}</span>
         <svg
           width="16"
           height="16"
           viewBox="0 0 20 20"
           fill="currentColor"
-          className={`transition ${open ? "rotate-180" : ""}`}
+          className={`transition motion-reduce:transition-none ${open ? "rotate-180" : ""}`}
           aria-hidden="true"
         >
-          <path d="M5.23 7.21a.75.75 0 011.06.02L10 10.94l3.71-3.71a.75.75 0 111.06 1.06l-4.24 4.24a.75.75 0 01-1.06 0L5.21 8.29a.75.75 0 01.02-1.08z" />
+          {CHEVRON}
         </svg>
       </button>
 
       {open && (
-        <div className="absolute right-0 z-40 mt-2 w-80 max-h-80 overflow-auto rounded-xl border border-neutral-200 bg-white p-3 shadow-2xl">
-          <div className="mb-2 flex items-center justify-between text-xs text-neutral-600">
-            <span>{tags.length} categories</span>
-            {anySelected ? <button onClick={onClear} className="underline">Clear</button> : null}
-          </div>
-          <ul className="grid grid-cols-2 gap-x-4 gap-y-2">
-            {tags.map((t) => {
-              const checked = selected.some((x) => slug(x) === slug(t));
-              const id = `desk-tag-${slug(t)}`;
-              return (
-                <li key={t}>
-                  <label htmlFor={id} className="flex items-center gap-2">
-                    <input
-                      id={id}
-                      type="checkbox"
-                      className="h-4 w-4 accent-black"
-                      checked={checked}
-                      onChange={() => onToggle(t)}
-                    />
-                    <span className="text-sm">{t}</span>
-                  </label>
-                </li>
-              );
-            })}
-          </ul>
+        <div
+          id={panelId}
+          ref={panelRef}
+          role="dialog"
+          aria-label={t("filters.title")}
+          onKeyDown={(e) => trapTab(e, panelRef.current)}
+          className="absolute right-0 z-40 mt-2 w-96 max-h-96 overflow-auto rounded-xl border border-neutral-200 bg-white p-3 shadow-2xl dark:border-neutral-700 dark:bg-neutral-900"
+        >
+          <CategoryPanel idPrefix="desk-tag" listClassName="columns-2 gap-x-4 [&>li]:mb-2" {...props} />
         </div>
       )}
     </div>
@@ -283,79 +393,77 @@ function DesktopFilters({ tags, selected, onToggle, onClear }) {
 }
 
 export default function NounsDirectory() {
+  const { locale, t } = useI18n();
   const [rows, setRows] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState("");
+  const [error, setError] = useState(null); // { text } from the data source, or { key } of a message in src/locales
+  const [notice, setNotice] = useState(null); // { key, vars } of a message in src/locales
   const [debugSnippet, setDebugSnippet] = useState("");
   const [debugFields, setDebugFields] = useState([]);
-  const [selectedTags, setSelectedTags] = useState([]);
-  const [query, setQuery] = useState("");
-
+  const [tagFilter, setTagFilter] = useState(() => {
+    const s = readFilterState();
+    return { include: s.tags, exclude: s.excluded, mode: s.mode };
+  });
+  const [query, setQuery] = useState(() => readFilterState().query);
+  const [linkStatus, setLinkStatus] = useState(null);
+  const [hideFlaggedLinks, setHideFlaggedLinks] = useState(() => readFilterState().hideFlagged);
+  const [submitOpen, setSubmitOpen] = useState(false);
+  const collections = useCollections();
+  // Favorites or a collection id (SCOPE_ALL for everything), or a collection shared by link.
+  const [scope, setScope] = useState(() => readFilterState().list);
+  const [shared, setShared] = useState(() => readFilterState().shared);
+  const [collectionsOpen, setCollectionsOpen] = useState(false);
+  const [viewPrefs, setViewPrefs] = useState(readViewPrefs);
+  const [clickStats, setClickStats] = useState(null);
+  const [taxonomy, setTaxonomy] = useState(null);
+
+  const route = useRoute();
   const containerRef = useRef(null);
+  const lastTagsRef = useRef(null);
+  const searchRef = useRef(null);
+
+  // "/" focuses the search box from anywhere on the list page.
+  useEffect(() => {
+    function onKey(e) {
+      if (e.key !== "/" || e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return;
+      if (!searchRef.current) return;
+      e.preventDefault();
+      searchRef.current.focus();
+      searchRef.current.select();
+    }
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, []);
+
+  // The service worker answers from cache when the network is down; say how old that data is.
+  useEffect(
+    () => onDataFromCache(({ cachedAt }) => setNotice({ key: "results.cached", vars: { cachedAt } })),
+    []
+  );
+  // The date is formatted when shown, so it follows a language switch.
+  const noticeVars = notice?.key === "results.cached" ? { date: formatCachedAt(notice.vars.cachedAt, locale) } : notice?.vars;
 
   useEffect(() => {
     let aborted = false;
 
     async function load() {
       setLoading(true);
-      setError("");
+      setError(null);
       setDebugSnippet("");
       setDebugFields([]);
 
       try {
-        const r = await fetch(CONFIG.SHEET_CSV_URL, { cache: "no-store" });
-        const text = await r.text();
-        if (!r.ok) {
-          setDebugSnippet(text.slice(0, 200));
-          throw new Error("CSV fetch returned non-200 status: " + r.status);
-        }
-        if (/^\s*</.test(text)) {
-          setDebugSnippet(text.slice(0, 200));
-          throw new Error(
-            "Expected CSV but got HTML (are you sure /public/resources.csv exists in the deployed build?)"
-          );
-        }
-        const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
-        const fields = parsed.meta?.fields || Object.keys(parsed.data?.[0] || {});
-        if (!fields.length) throw new Error("No header row detected in CSV.");
+        const res = await loadDirectory(CONFIG.DATA);
         if (aborted) return;
-        setDebugFields(fields);
-
-        const cols = resolveColumns(fields, CONFIG.COLUMNS);
-
-        const data = (parsed.data || []).map((row, i) => {
-          const titleRaw = (cols.title && row[cols.title]) || "";
-          const link = (cols.link && row[cols.link]) || "";
-          const title = String(
-            titleRaw || (link ? new URL(link).hostname.replace(/^www\./, "") : `Untitled ${i + 1}`)
-          ).trim();
-          const description = String((cols.description && row[cols.description]) || "").trim();
-
-          const categories = parseList(cols.categories ? row[cols.categories] : "");
-          const cardCategories = parseList(cols.cardCategories ? row[cols.cardCategories] : "");
-          const hidden = parseList(cols.hiddenTags ? row[cols.hiddenTags] : "");
-
-          const logoUrl = String((cols.logoUrl && row[cols.logoUrl]) || "").trim();
-          const legacyLogo = String((cols.image && row[cols.image]) || "").trim();
-          const derivedLogo = title ? `/logos/${slug(title)}.png` : "";
-          const image = logoUrl || legacyLogo || derivedLogo;
-
-          return {
-            key: `${slug(title)}-${i}`,
-            title,
-            link,
-            description,
-            categories,
-            cardCategories,
-            hiddenTags: hidden,
-            image,
-          };
-        });
-
-        setRows(data);
+        setDebugFields(res.fields);
+        setTaxonomy(res.taxonomy);
+        if (res.fallbackError) setNotice({ key: "results.fallback" });
+        setRows(res.rows);
         setLoading(false);
       } catch (e) {
-        setError(e.message || "Could not load CSV.");
+        if (aborted) return;
+        setDebugSnippet(e.snippet || "");
+        setError(e.message ? { text: e.message } : { key: "results.loadError" });
         setLoading(false);
         console.error("CSV load error:", e);
       }
@@ -367,44 +475,159 @@ export default function NounsDirectory() {
     };
   }, []);
 
+  useEffect(() => {
+    loadLinkStatus().then(setLinkStatus);
+  }, []);
+
+  useEffect(() => {
+    loadClickStats().then(setClickStats);
+  }, []);
+
+  // How each category shows in the current language: the taxonomy's translation, else the
+  // sheet's "Category (es)" column, else the name itself.
+  const sheetLabels = useMemo(() => categoryLabels(rows, locale), [rows, locale]);
+  const tagInfo = (tag) => categoryInfo(tag, taxonomy, locale, sheetLabels.get(slug(tag)));
+
+  // Taxonomy order with children under their parents, then undeclared categories A–Z.
   const allFilterTags = useMemo(() => {
     const set = new Set();
     rows.forEach((r) => (r.categories || []).forEach((c) => set.add(c)));
-    return Array.from(set).sort((a, b) => a.localeCompare(b));
-  }, [rows]);
-
-  const filtered = useMemo(() => {
-    let out = rows;
-    if (selectedTags.length) {
-      const wanted = new Set(selectedTags.map((t) => slug(t)));
-      out = out.filter((r) => (r.categories || []).some((c) => wanted.has(slug(c))));
-    }
-    if (query.trim()) {
-      const q = query.trim().toLowerCase();
-      out = out.filter((r) => {
-        const haystack = [
-          r.title,
-          r.description,
-          ...(r.categories || []),
-          ...(r.cardCategories || []),
-          ...(r.hiddenTags || []),
-        ]
-          .join(" | ")
-          .toLowerCase();
-        return haystack.includes(q);
-      });
+    const label = (tag) => categoryInfo(tag, taxonomy, locale, sheetLabels.get(slug(tag))).label;
+    return orderCategories(Array.from(set), taxonomy, label, locale);
+  }, [rows, taxonomy, sheetLabels, locale]);
+
+  // Selected tags may come from the URL as slugs (or an alias's slug): resolve them to display
+  // names, ignoring unknown ones.
+  const activeFilter = useMemo(() => {
+    const bySlug = new Map(allFilterTags.map((t) => [slug(t), t]));
+    const resolve = (list) => list.map((t) => bySlug.get(slug(canonicalCategory(t, taxonomy)))).filter(Boolean);
+    return { include: resolve(tagFilter.include), exclude: resolve(tagFilter.exclude), mode: tagFilter.mode };
+  }, [allFilterTags, tagFilter, taxonomy]);
+
+  // Mirror filters into the URL: category changes get their own history entry, typing replaces it.
+  useEffect(() => {
+    if (loading || !rows.length || route.name !== "list") return;
+    const key = [
+      activeFilter.include.map(slug),
+      activeFilter.exclude.map(slug),
+      activeFilter.mode,
+      scope,
+      shared ? shared.ids : "",
+    ].join("|");
+    const push = lastTagsRef.current !== null && lastTagsRef.current !== key;
+    lastTagsRef.current = key;
+    writeFilterState(
+      {
+        query,
+        tags: activeFilter.include,
+        excluded: activeFilter.exclude,
+        mode: activeFilter.mode,
+        hideFlagged: hideFlaggedLinks,
+        list: scope,
+        shared,
+        lang: localeParam(locale),
+      },
+      { push }
+    );
+  }, [loading, rows.length, route.name, query, activeFilter, hideFlaggedLinks, scope, shared, locale]);
+
+  // Back/forward and in-app links (e.g. a category chip on a detail page) restore filters from the URL.
+  useEffect(() => {
+    function onPopState() {
+      if (parseRoute().name !== "list") return;
+      const s = readFilterState();
+      lastTagsRef.current = null;
+      setQuery(s.query);
+      setTagFilter({ include: s.tags, exclude: s.excluded, mode: s.mode });
+      setHideFlaggedLinks(s.hideFlagged);
+      setScope(s.list);
+      setShared(s.shared);
     }
-    return out;
-  }, [rows, selectedTags, query]);
+    window.addEventListener("popstate", onPopState);
+    window.addEventListener(ROUTE_EVENT, onPopState);
+    return () => {
+      window.removeEventListener("popstate", onPopState);
+      window.removeEventListener(ROUTE_EVENT, onPopState);
+    };
+  }, []);
 
-  const toggleTag = (tag) => {
-    const sl = slug(tag);
-    setSelectedTags((prev) =>
-      prev.some((t) => slug(t) === sl) ? prev.filter((t) => slug(t) !== sl) : [...prev, tag]
-    );
+  // Rows in the current language, then one card per project with its channel rows folded in (src/projects.js).
+  const localized = useMemo(() => rows.map((r) => localizeRow(r, locale)), [rows, locale]);
+  const cards = useMemo(() => groupProjects(localized), [localized]);
+  const searched = useMemo(() => searchResources(cards, query), [cards, query]);
+
+  // Clicks per card over the last 30 days ("Most popular" sort) and 7 days (trending strip).
+  const popularity = useMemo(() => clickStats && cardCounts(cards, clickStats.popular), [cards, clickStats]);
+  const trending = useMemo(
+    () => (clickStats ? trendingRows(cards, cardCounts(cards, clickStats.trending)) : []),
+    [cards, clickStats]
+  );
+  const matchedWords = searched.words;
+
+  const flaggedCount = useMemo(() => rows.filter((r) => linkFlag(linkStatus, r)).length, [rows, linkStatus]);
+
+  // Only the shared collection, favorites or chosen collection, when one is being viewed.
+  const { favorites, collections: savedCollections } = collections;
+  const scopeSet = useMemo(
+    () => (shared ? new Set(shared.ids) : scopeIds(scope, { favorites, collections: savedCollections })),
+    [shared, scope, favorites, savedCollections]
+  );
+
+  // Search results minus links the health check flagged, when hidden.
+  const candidates = useMemo(() => {
+    const inScope = scopeSet
+      ? searched.rows.filter((r) => scopeSet.has(r.id) || (r.children || []).some((c) => scopeSet.has(c.id)))
+      : searched.rows;
+    return hideFlaggedLinks ? hideFlagged(inScope, linkStatus) : inScope;
+  }, [searched, scopeSet, hideFlaggedLinks, linkStatus]);
+
+  const filtered = useMemo(
+    () => filterByCategories(candidates, activeFilter),
+    [candidates, activeFilter]
+  );
+
+  // Result count per category if it were included on top of the current filters.
+  const tagCounts = useMemo(
+    () => countsIfIncluded(candidates, allFilterTags, activeFilter),
+    [candidates, allFilterTags, activeFilter]
+  );
+
+  const sorts = useMemo(() => availableSorts(rows, { popularity }), [rows, popularity]);
+  const sort = sorts.includes(viewPrefs.sort) ? viewPrefs.sort : SORT_DEFAULT;
+  const sorted = useMemo(() => sortResources(filtered, sort, { popularity }), [filtered, sort, popularity]);
+
+  const updateViewPrefs = (change) =>
+    setViewPrefs((prev) => {
+      const next = { ...prev, ...change };
+      writeViewPrefs(next);
+      return next;
+    });
+
+  const toggleTag = (tag) => setTagFilter((prev) => ({ ...prev, ...cycleTagState(tag, activeFilter) }));
+
+  const setMatchMode = (mode) => setTagFilter((prev) => ({ ...prev, mode }));
+
+  const clearFilters = () => setTagFilter((prev) => ({ ...prev, include: [], exclude: [] }));
+
+  const viewScope = (value) => {
+    setShared(null);
+    setScope(value);
   };
 
-  const clearFilters = () => setSelectedTags([]);
+  const saveShared = () => {
+    const known = new Set(rows.map((r) => r.id));
+    viewScope(collections.createCollection(shared.name || t("collections.untitled"), shared.ids.filter((id) => known.has(id))));
+  };
+
+  const filterProps = {
+    tags: allFilterTags,
+    tagInfo,
+    filters: activeFilter,
+    counts: tagCounts,
+    onToggle: toggleTag,
+    onModeChange: setMatchMode,
+    onClear: clearFilters,
+  };
 
   return (
     <>
@@ -416,181 +639,191 @@ export default function NounsDirectory() {
 
       <div ref={containerRef} className="relative mx-auto max-w-6xl px-4">
         <div className="relative z-10 pb-24">
-          <p className="mx-auto mt-5 max-w-3xl text-center text-base md:text-xl leading-relaxed text-neutral-800">
-            <strong>Nouns</strong> is a <strong>decentralized</strong> project, driven by its{" "}
-            <strong>community</strong>. They expand and maintain it with new{" "}
-            <strong>technology</strong>, <strong>tools</strong>, and <strong>resources</strong>.
-            Learn, find art or developer resources, and explore different areas of Nouns through the{" "}
-            <strong>categories below</strong>.
-          </p>
-
-          {/* Search + desktop dropdown + clear */}
-          <div className="mt-6 flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
-            <div className="flex flex-wrap items-center gap-2">
-              <input
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                placeholder="Search resources…"
-                className="w-full max-w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:border-neutral-900 sm:w-72"
-                aria-label="Search"
-                name="q"
-                id="q"
-              />
-
-              {/* Desktop dropdown */}
-              <DesktopFilters
-                tags={allFilterTags}
-                selected={selectedTags}
-                onToggle={toggleTag}
-                onClear={clearFilters}
-              />
+          {route.name === "admin" ? (
+            <AdminView />
+          ) : route.name === "resource" ? (
+            <ResourceDetail
+              id={route.slug}
+              rows={localized}
+              tagInfo={tagInfo}
+              loading={loading}
+              newTab={CONFIG.site.openLinksInNewTab}
+              linkStatus={linkStatus}
+            />
+          ) : (
+            <>
+              <p className="mx-auto mt-5 max-w-3xl text-center text-base md:text-xl leading-relaxed text-neutral-800 dark:text-neutral-200">
+                {richText(siteText(CONFIG.site.intro, locale))}
+              </p>
+
+              {!loading && <TrendingStrip rows={trending} />}
+
+              {/* Search + desktop dropdown + clear */}
+              <div className="mt-6 flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    ref={searchRef}
+                    type="search"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder={t("search.placeholder")}
+                    aria-keyshortcuts="/"
+                    className="w-full max-w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:border-neutral-900 sm:w-72 dark:border-neutral-600 dark:bg-neutral-900 dark:focus:border-neutral-300"
+                    aria-label={t("search.label")}
+                    name="q"
+                    id="q"
+                  />
+
+                  {/* Desktop dropdown */}
+                  <DesktopFilters {...filterProps} />
+
+                  <CollectionPicker
+                    scope={shared ? SCOPE_ALL : scope}
+                    collections={collections}
+                    onChange={viewScope}
+                    onManage={() => setCollectionsOpen(true)}
+                  />
+
+                  {activeFilter.include.length + activeFilter.exclude.length > 0 && (
+                    <button
+                      onClick={clearFilters}
+                      className="rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm hover:bg-neutral-50 dark:border-neutral-600 dark:bg-neutral-900 dark:hover:bg-neutral-800"
+                    >
+                      {t("actions.clear")}
+                    </button>
+                  )}
+                </div>
 
-              {selectedTags.length > 0 && (
                 <button
-                  onClick={clearFilters}
-                  className="rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm hover:bg-neutral-50"
+                  type="button"
+                  onClick={() => setSubmitOpen(true)}
+                  className="rounded-xl border border-neutral-900 bg-white px-3 py-2 text-sm font-medium hover:bg-neutral-900 hover:text-white dark:border-neutral-300 dark:bg-neutral-900 dark:hover:bg-neutral-100 dark:hover:text-neutral-900"
                 >
-                  Clear
+                  {t("actions.suggest")}
                 </button>
-              )}
-            </div>
-          </div>
-
-          {/* Mobile dropdown filters */}
-          <div className="mt-3 md:hidden">
-            <MobileFilters
-              tags={allFilterTags}
-              selected={selectedTags}
-              onToggle={toggleTag}
-              onClear={clearFilters}
-            />
-          </div>
+              </div>
 
-          <div className="mt-2 flex items-center justify-between text-xs text-neutral-600">
-            <div className="bg-white/90 px-1">{filtered.length} shown</div>
-            <div className="ml-4">
-              <Disclaimer />
-            </div>
-          </div>
-
-          {error && (
-            <div className="mt-3 rounded-xl border border-amber-300 bg-amber-50 p-3 text-sm text-amber-900">
-              {error}
-              {debugSnippet && (
-                <pre className="mt-2 max-h-48 overflow-auto whitespace-pre-wrap break-words rounded bg-white p-2 text-xs text-neutral-700">
-                  {debugSnippet}
-                </pre>
+              {shared && (
+                <SharedCollectionBanner shared={shared} onSave={saveShared} onDismiss={() => viewScope(SCOPE_ALL)} />
               )}
-            </div>
-          )}
 
-          {loading ? (
-            <div className="mt-6 text-sm text-neutral-600">Loading…</div>
-          ) : (
-            <div className="mt-6 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
-              {filtered.map((r) => (
-                <article
-                  key={r.key}
-                  className="group flex h-full flex-col rounded-2xl border border-neutral-200 bg-white p-4 shadow-sm transition hover:shadow-md"
-                >
-                  {/* Header: logo + Title */}
-                  <div className="flex items-center gap-3">
-                    <div
-                      className={`h-[30px] w-[30px] shrink-0 overflow-hidden rounded ${
-                        r.image ? "bg-neutral-100" : "bg-black"
-                      }`}
-                    >
-                      {r.image ? (
-                        <img
-                          src={r.image}
-                          alt=""
-                          width="30"
-                          height="30"
-                          loading="lazy"
-                          className="h-full w-full object-cover"
-                          onError={(e) => {
-                            e.currentTarget.remove();
-                            const p = e.currentTarget.parentElement;
-                            p && p.classList.remove("bg-neutral-100");
-                            p && p.classList.add("bg-black");
-                          }}
-                        />
-                      ) : null}
-                    </div>
-                    <h3 className="min-w-0 truncate text-lg font-semibold leading-snug">
-                      {r.link ? (
-                        <a
-                          href={r.link}
-                          target={CONFIG.site.openLinksInNewTab ? "_blank" : undefined}
-                          rel="noreferrer noopener"
-                          className="hover:underline"
-                        >
-                          {r.title}
-                        </a>
-                      ) : (
-                        r.title
-                      )}
-                    </h3>
-                  </div>
-
-                  {/* Description */}
-                  <p className="mt-3 text-sm text-neutral-700">{r.description}</p>
-
-                  {/* Card chips from "Card Categories" */}
-                  {!!(r.cardCategories && r.cardCategories.length) && (
-                    <div className="mt-3 flex flex-wrap gap-2">
-                      {r.cardCategories.map((cc) => (
-                        <span
-                          key={`${r.key}-cc-${cc}`}
-                          className="rounded-full border border-neutral-300 bg-neutral-100 px-2 py-0.5 text-xs text-neutral-800"
-                        >
-                          {cc}
-                        </span>
-                      ))}
-                    </div>
+              {/* Mobile dropdown filters */}
+              <div className="mt-3 md:hidden">
+                <MobileFilters {...filterProps} />
+              </div>
+
+              <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-xs text-neutral-600 dark:text-neutral-400">
+                <div className="flex flex-wrap items-center gap-x-3 bg-white/90 px-1 dark:bg-brand-page/90">
+                  <span>
+                    {t("results.shown", { count: filtered.length })}
+                    {notice && <span className="ml-2 text-amber-700 dark:text-amber-400">· {t(notice.key, noticeVars)}</span>}
+                  </span>
+                  {!loading && <ResultsAnnouncer count={filtered.length} />}
+                  {flaggedCount > 0 && (
+                    <label className="inline-flex items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={hideFlaggedLinks}
+                        onChange={(e) => setHideFlaggedLinks(e.target.checked)}
+                        className="accent-brand-accent"
+                      />
+                      {t("results.hideFlagged", { count: flaggedCount })}
+                    </label>
                   )}
-
-                  {/* Explore link */}
-                  {r.link && (
-                    <div className="mt-auto pt-4 flex justify-end">
-                      <a
-                        href={r.link}
-                        target={CONFIG.site.openLinksInNewTab ? "_blank" : undefined}
-                        rel="noreferrer noopener"
-                        className="inline-flex items-center gap-1 text-sm font-medium underline underline-offset-4"
-                      >
-                        Explore →
-                      </a>
-                    </div>
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <ViewControls
+                    sort={sort}
+                    sorts={sorts}
+                    onSortChange={(value) => updateViewPrefs({ sort: value })}
+                    layout={viewPrefs.layout}
+                    onLayoutChange={(value) => updateViewPrefs({ layout: value })}
+                  />
+                  <Disclaimer />
+                </div>
+              </div>
+
+              {error && (
+                <div className="mt-3 rounded-xl border border-amber-300 bg-amber-50 p-3 text-sm text-amber-900 dark:border-amber-700 dark:bg-amber-950 dark:text-amber-200">
+                  {error.text || t(error.key)}
+                  {debugSnippet && (
+                    <pre className="mt-2 max-h-48 overflow-auto whitespace-pre-wrap break-words rounded bg-white p-2 text-xs text-neutral-700 dark:bg-neutral-900 dark:text-neutral-300">
+                      {debugSnippet}
+                    </pre>
                   )}
-                </article>
-              ))}
-            </div>
+                </div>
+              )}
+
+              {loading ? (
+                <div className="mt-6 text-sm text-neutral-600 dark:text-neutral-400">{t("results.loading")}</div>
+              ) : scopeSet && !scopeSet.size ? (
+                <div className="mt-6 text-sm text-neutral-600 dark:text-neutral-400">
+                  {scope === SCOPE_FAVORITES ? t("results.noFavorites") : t("results.emptyCollection")}
+                </div>
+              ) : (
+                <div className="mt-6">
+                  <ResourceResults
+                    rows={sorted}
+                    layout={viewPrefs.layout}
+                    tags={allFilterTags}
+                    tagInfo={tagInfo}
+                    words={matchedWords}
+                    newTab={CONFIG.site.openLinksInNewTab}
+                    flagFor={(r) => linkFlag(linkStatus, r)}
+                    actions={(r) => <CollectionActions r={r} collections={collections} />}
+                  />
+                </div>
+              )}
+            </>
           )}
         </div>
       </div>
+
+      {submitOpen && <SubmitResourceForm categories={allFilterTags} labelOf={(c) => tagInfo(c).label} onClose={() => setSubmitOpen(false)} />}
+      {collectionsOpen && (
+        <CollectionsManager
+          collections={collections}
+          onView={(value) => {
+            viewScope(value);
+            setCollectionsOpen(false);
+          }}
+          onClose={() => setCollectionsOpen(false)}
+        />
+      )}
     </>
   );
 }
 
-// Background art (fixed to viewport, behind everything, including header)
+// Screen-reader announcement of the result count, once typing or toggling settles.
+function ResultsAnnouncer({ count }) {
+  const { t } = useI18n();
+  const text = useSettledText(t("results.announce", { count }));
+  return (
+    <span role="status" aria-live="polite" className="sr-only">
+      {text}
+    </span>
+  );
+}
+
+// Background art (fixed to viewport, behind everything, including header): the desktop or mobile
+// set from site.config.json, fainter in dark mode. Left out entirely for visitors who ask for
+// reduced motion.
 function FixedViewportArt() {
   const [items, setItems] = useState([]);
+  const reduceMotion = usePrefersReducedMotion();
+  const { dark } = useTheme();
+  const { art } = CONFIG.site;
 
   useEffect(() => {
     const build = () => {
-      const set =
-        window.innerWidth >= CONFIG.site.art.breakpoint
-          ? CONFIG.site.art.desktop
-          : CONFIG.site.art.mobile;
-      setItems(set);
+      setItems(window.innerWidth >= art.breakpoint ? art.desktop : art.mobile);
     };
     build();
     window.addEventListener("resize", build);
     return () => window.removeEventListener("resize", build);
-  }, []);
+  }, [art]);
 
-  if (!items.length) return null;
+  if (reduceMotion || !items.length) return null;
 
   return (
     <div className="pointer-events-none fixed inset-0 z-0" aria-hidden="true">
@@ -601,7 +834,7 @@ function FixedViewportArt() {
           top: it.topVH != null ? `calc(${it.topVH}vh - ${it.size / 2}px)` : undefined,
           left: it.leftVW != null ? `calc(${it.leftVW}vw - ${it.size / 2}px)` : undefined,
           right: it.rightVW != null ? `calc(${it.rightVW}vw - ${it.size / 2}px)` : undefined,
-          opacity: CONFIG.site.art.opacity,
+          opacity: dark ? art.darkOpacity : art.opacity,
         };
         return (
           <img
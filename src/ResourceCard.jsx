@@ -0,0 +1,252 @@
+// Resource card and the small pieces it shares with the detail page.
+
+import React, { useEffect, useState } from "react";
+import { trackClick } from "./analytics.js";
+import { AVATAR_VIEWBOX, avatarShapes, avatarSpec } from "./avatar.js";
+import { useI18n } from "./i18n.js";
+import { LINK_REDIRECT } from "./linkHealth.js";
+import { CHANNEL_BLOG, CHANNEL_DISCORD, CHANNEL_FARCASTER, CHANNEL_X } from "./projects.js";
+import { resourcePath, onLinkClick } from "./router.js";
+import { highlightParts } from "./search.js";
+
+// Text with search matches wrapped in <mark>
+export function Highlight({ text, words }) {
+  return highlightParts(text, words).map((p, i) =>
+    p.match ? (
+      <mark key={i} className="rounded-sm bg-yellow-200 px-0.5 text-inherit dark:bg-yellow-500/40">
+        {p.text}
+      </mark>
+    ) : (
+      <React.Fragment key={i}>{p.text}</React.Fragment>
+    )
+  );
+}
+
+// Generated Nouns-style avatar (src/avatar.js), drawn inline so the sprite loads like any image.
+export function NounAvatar({ spec, size = 30 }) {
+  return (
+    <svg
+      viewBox={`0 0 ${AVATAR_VIEWBOX} ${AVATAR_VIEWBOX}`}
+      width={size}
+      height={size}
+      shapeRendering="crispEdges"
+      aria-hidden="true"
+      className="block h-full w-full"
+    >
+      {avatarShapes(spec).map(({ tag: Tag, attrs }, i) => (
+        <Tag key={i} {...attrs} style={Tag === "image" ? { imageRendering: "pixelated" } : undefined} />
+      ))}
+    </svg>
+  );
+}
+
+// Square logo. `logo` is the manifest entry (src/logos.js) with the optimized srcset and AVIF
+// source. When there's no image, or it fails to load, the `placeholder` avatar spec is drawn
+// instead (a black tile without one).
+export function ResourceLogo({ src, logo = null, placeholder = null, size = 30, className = "" }) {
+  const [failed, setFailed] = useState(false);
+  useEffect(() => setFailed(false), [src]);
+
+  const showImage = src && !failed;
+  const img = showImage ? (
+    <img
+      src={src}
+      srcSet={logo?.srcSet}
+      alt=""
+      width={size}
+      height={size}
+      loading="lazy"
+      className="h-full w-full object-cover"
+      onError={() => setFailed(true)}
+    />
+  ) : null;
+  return (
+    <div
+      className={`shrink-0 overflow-hidden rounded ${showImage ? "bg-neutral-100" : "bg-black"} ${className}`}
+      style={{ width: size, height: size }}
+    >
+      {!showImage ? (
+        placeholder && <NounAvatar spec={placeholder} size={size} />
+      ) : logo?.sources?.length ? (
+        <picture>
+          {logo.sources.map((s) => (
+            <source key={s.type} type={s.type} srcSet={s.srcSet} />
+          ))}
+          {img}
+        </picture>
+      ) : (
+        img
+      )}
+    </div>
+  );
+}
+
+export function Chips({ items, keyPrefix }) {
+  if (!items || !items.length) return null;
+  return (
+    <div className="mt-3 flex flex-wrap gap-2">
+      {items.map((cc) => (
+        <span
+          key={`${keyPrefix}-${cc}`}
+          className="rounded-full border border-neutral-300 bg-neutral-100 px-2 py-0.5 text-xs text-neutral-800 dark:border-neutral-600 dark:bg-neutral-800 dark:text-neutral-200"
+        >
+          {cc}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// 20×20 glyphs for a project's channel links (anything else gets the globe).
+const CHANNEL_ICONS = {
+  [CHANNEL_X]: <path d="M4 3h3.5l9 14H13zM16 3h1.5L5.5 17H4z" fill="currentColor" />,
+  [CHANNEL_DISCORD]: (
+    <path
+      d="M5.5 5C7.5 4 12.5 4 14.5 5l2 8c-1.3 1.3-2.8 2-4 2l-.8-1.5h-3.4L7.5 15c-1.2 0-2.7-.7-4-2zM8 9.3a1.2 1.2 0 100 2.4 1.2 1.2 0 000-2.4zm4 0a1.2 1.2 0 100 2.4 1.2 1.2 0 000-2.4z"
+      fill="currentColor"
+      fillRule="evenodd"
+    />
+  ),
+  [CHANNEL_FARCASTER]: <path d="M4 3h12v14h-2.5v-6a3.5 3.5 0 00-7 0v6H4z" fill="currentColor" />,
+  [CHANNEL_BLOG]: <path d="M3 17h3.5L16 7.5 12.5 4 3 13.5zM13.5 3l3.5 3.5" fill="none" stroke="currentColor" strokeWidth="1.6" />,
+};
+const GLOBE = (
+  <g fill="none" stroke="currentColor" strokeWidth="1.5">
+    <circle cx="10" cy="10" r="7" />
+    <path d="M3 10h14M10 3c-2.5 2-2.5 12 0 14M10 3c2.5 2 2.5 12 0 14" />
+  </g>
+);
+
+// Icon links to a project's website and channels (src/projects.js).
+export function ChannelLinks({ channels, newTab = true, className = "" }) {
+  const { t } = useI18n();
+  if (!channels || !channels.length) return null;
+  return (
+    <ul className={`flex flex-wrap items-center gap-1 ${className}`} aria-label={t("card.links")}>
+      {channels.map((c) => (
+        <li key={c.url}>
+          <a
+            href={c.url}
+            target={newTab ? "_blank" : undefined}
+            rel="noreferrer noopener"
+            aria-label={c.title}
+            title={c.title}
+            className="flex h-7 w-7 items-center justify-center rounded-lg border border-neutral-200 text-neutral-700 hover:border-neutral-900 hover:text-black dark:border-neutral-700 dark:text-neutral-300 dark:hover:text-white"
+          >
+            <svg width="16" height="16" viewBox="0 0 20 20" aria-hidden="true">
+              {CHANNEL_ICONS[c.kind] || GLOBE}
+            </svg>
+          </a>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Props for a link to a details page: in-app navigation, or a plain link into `target`.
+export const detailLinkProps = (target) => (target ? { target, rel: "noopener" } : { onClick: onLinkClick });
+
+// Badge for a link the health check flagged (see src/linkHealth.js)
+export function LinkBadge({ flag, className = "" }) {
+  const { t } = useI18n();
+  if (!flag) return null;
+  const redirect = flag.status === LINK_REDIRECT;
+  let host = flag.finalUrl;
+  try {
+    host = new URL(flag.finalUrl).hostname.replace(/^www\./, "");
+  } catch {}
+  return (
+    <span
+      title={redirect ? t("badge.redirectsTitle", { url: flag.finalUrl }) : flag.error}
+      className={`inline-flex items-center rounded-full border px-2 py-0.5 text-xs ${
+        redirect
+          ? "border-sky-300 bg-sky-50 text-sky-800 dark:border-sky-700 dark:bg-sky-950 dark:text-sky-200"
+          : "border-amber-300 bg-amber-50 text-amber-900 dark:border-amber-700 dark:bg-amber-950 dark:text-amber-200"
+      } ${className}`}
+    >
+      {redirect ? t("badge.redirects", { host }) : t("badge.offline")}
+    </span>
+  );
+}
+
+// `tabIndex` makes the card itself focusable for arrow-key movement in the results (see ResourceResults).
+// `actions(r)` renders controls beside the title (the site passes the favorite star and the
+// collection menu, see CollectionActions); they are passed in so the embed doesn't bundle them.
+// `detailTarget` opens the details page in another browsing context (the embed uses "_blank").
+export default function ResourceCard({
+  r,
+  words,
+  newTab = true,
+  flag = null,
+  tabIndex = -1,
+  actions = null,
+  detailTarget,
+}) {
+  const { t } = useI18n();
+  const target = newTab ? "_blank" : undefined;
+  return (
+    <article
+      data-card
+      data-href={resourcePath(r.id)}
+      tabIndex={tabIndex}
+      aria-label={r.title}
+      className="group flex h-full flex-col rounded-2xl border border-neutral-200 bg-white p-4 shadow-sm transition hover:shadow-md focus:outline-none focus-visible:ring-2 focus-visible:ring-black motion-reduce:transition-none dark:border-neutral-700 dark:focus-visible:ring-white dark:bg-neutral-900 dark:text-neutral-100"
+    >
+      {/* Header: logo + Title */}
+      <div className="flex items-center gap-3">
+        <ResourceLogo src={r.image} logo={r.logo} placeholder={avatarSpec(r)} />
+        <h3 className="min-w-0 flex-1 truncate text-lg font-semibold leading-snug">
+          {r.link ? (
+            <a
+              href={r.link}
+              target={target}
+              rel="noreferrer noopener"
+              onClick={() => trackClick(r.id)}
+              className="hover:underline"
+            >
+              <Highlight text={r.title} words={words} />
+            </a>
+          ) : (
+            <Highlight text={r.title} words={words} />
+          )}
+        </h3>
+        {actions && <div className="flex shrink-0 items-center">{actions(r)}</div>}
+      </div>
+
+      <LinkBadge flag={flag} className="mt-2 self-start" />
+
+      {/* Description */}
+      <p className="mt-3 text-sm text-neutral-700 dark:text-neutral-300">
+        <Highlight text={r.description} words={words} />
+      </p>
+
+      {/* Card chips from "Card Categories" */}
+      <Chips items={r.cardCategories} keyPrefix={`${r.key}-cc`} />
+
+      {/* Website and channels of a grouped project */}
+      <ChannelLinks channels={r.channels} newTab={newTab} className="mt-3" />
+
+      {/* Details + Explore links */}
+      <div className="mt-auto flex items-center justify-between pt-4">
+        <a
+          href={resourcePath(r.id)}
+          {...detailLinkProps(detailTarget)}
+          className="text-sm text-neutral-600 hover:text-neutral-900 hover:underline dark:text-neutral-400 dark:hover:text-white"
+        >
+          {t("card.details")}
+        </a>
+        {r.link && (
+          <a
+            href={r.link}
+            target={target}
+            rel="noreferrer noopener"
+            onClick={() => trackClick(r.id)}
+            className="inline-flex items-center gap-1 text-sm font-medium underline underline-offset-4"
+          >
+            {t("card.explore")}
+          </a>
+        )}
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,146 @@
+// Detail page for one resource (/r/<slug>): full description, categories, outbound link and related resources.
+
+import React, { useEffect, useMemo } from "react";
+import { avatarSpec } from "./avatar.js";
+import Disclaimer from "./Disclaimer.jsx";
+import ResourceCard, { Chips, LinkBadge, ResourceLogo } from "./ResourceCard.jsx";
+import { useI18n } from "./i18n.js";
+import { linkFlag } from "./linkHealth.js";
+import { hostnameOf, slug } from "./resources.js";
+import { onLinkClick } from "./router.js";
+import { SITE } from "./site.js";
+
+const MAX_RELATED = 6;
+
+// Other resources sharing at least one category, most shared first.
+export function relatedResources(r, rows, max = MAX_RELATED) {
+  const mine = new Set((r.categories || []).map((c) => slug(c)));
+  if (!mine.size) return [];
+  return rows
+    .filter((x) => x.id !== r.id)
+    .map((x, i) => ({ x, i, shared: (x.categories || []).filter((c) => mine.has(slug(c))).length }))
+    .filter((s) => s.shared > 0)
+    .sort((a, b) => b.shared - a.shared || a.i - b.i)
+    .slice(0, max)
+    .map((s) => s.x);
+}
+
+function BackLink() {
+  const { t } = useI18n();
+  return (
+    <a href="/" onClick={onLinkClick} className="text-sm text-neutral-600 hover:text-neutral-900 hover:underline dark:text-neutral-400 dark:hover:text-white">
+      {t("detail.back")}
+    </a>
+  );
+}
+
+// `rows` are already in the current language; `tagInfo` gives a category's translated name, icon
+// and description (see categoryInfo in src/taxonomy.js).
+export default function ResourceDetail({
+  id,
+  rows,
+  loading,
+  newTab = true,
+  linkStatus = null,
+  tagInfo = (tag) => ({ label: tag }),
+}) {
+  const { t } = useI18n();
+  const r = useMemo(() => rows.find((x) => x.id === id), [rows, id]);
+  const related = useMemo(() => (r ? relatedResources(r, rows) : []), [r, rows]);
+
+  useEffect(() => {
+    if (!r) return;
+    const prev = document.title;
+    document.title = `${r.title} · ${SITE.name}`;
+    return () => {
+      document.title = prev;
+    };
+  }, [r]);
+
+  if (loading) return <div className="mt-6 text-sm text-neutral-600 dark:text-neutral-400">{t("results.loading")}</div>;
+
+  if (!r) {
+    return (
+      <div className="mt-8">
+        <BackLink />
+        <p className="mt-4 text-neutral-800 dark:text-neutral-200">{t("detail.notFound", { id })}</p>
+      </div>
+    );
+  }
+
+  const target = newTab ? "_blank" : undefined;
+
+  return (
+    <div className="mt-6">
+      <BackLink />
+
+      <article className="mt-4 rounded-2xl border border-neutral-200 bg-white p-6 shadow-sm dark:border-neutral-700 dark:bg-neutral-900">
+        <div className="flex items-center gap-4">
+          <ResourceLogo src={r.image} logo={r.logo} placeholder={avatarSpec(r)} size={64} className="rounded-lg" />
+          <h2 className="min-w-0 text-2xl font-bold leading-tight md:text-3xl">{r.title}</h2>
+        </div>
+
+        <LinkBadge flag={linkFlag(linkStatus, r)} className="mt-3" />
+
+        {r.description && <p className="mt-4 whitespace-pre-line text-base text-neutral-800 dark:text-neutral-200">{r.description}</p>}
+
+        {!!r.categories.length && (
+          <div className="mt-5">
+            <h3 className="text-xs font-medium uppercase tracking-wide text-neutral-500 dark:text-neutral-400">{t("detail.categories")}</h3>
+            <div className="mt-2 flex flex-wrap gap-2">
+              {r.categories.map((c) => {
+                const info = tagInfo(c);
+                return (
+                  <a
+                    key={c}
+                    href={`/?c=${slug(c)}`}
+                    onClick={onLinkClick}
+                    title={info.description || undefined}
+                    className="rounded-full border border-neutral-900 px-2 py-0.5 text-xs text-neutral-900 hover:bg-neutral-900 hover:text-white dark:border-neutral-300 dark:text-neutral-100 dark:hover:bg-neutral-100 dark:hover:text-neutral-900"
+                  >
+                    {info.icon && <span aria-hidden="true">{info.icon} </span>}
+                    {info.label}
+                  </a>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {!!r.cardCategories.length && (
+          <div className="mt-4">
+            <h3 className="text-xs font-medium uppercase tracking-wide text-neutral-500 dark:text-neutral-400">{t("detail.tags")}</h3>
+            <Chips items={r.cardCategories} keyPrefix={`${r.key}-cc`} />
+          </div>
+        )}
+
+        <div className="mt-6 flex flex-wrap items-center justify-between gap-3 border-t border-neutral-200 pt-4 dark:border-neutral-700">
+          {r.link ? (
+            <a
+              href={r.link}
+              target={target}
+              rel="noreferrer noopener"
+              className="inline-flex items-center gap-1 rounded-xl bg-brand-accent px-4 py-2 text-sm font-medium text-brand-accent-text hover:opacity-90"
+            >
+              {t("detail.visit", { host: hostnameOf(r.link) || t("detail.site") })}
+            </a>
+          ) : (
+            <span className="text-sm text-neutral-500 dark:text-neutral-400">{t("detail.noLink")}</span>
+          )}
+          <Disclaimer />
+        </div>
+      </article>
+
+      {!!related.length && (
+        <section className="mt-10">
+          <h3 className="text-lg font-semibold">{t("detail.related")}</h3>
+          <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {related.map((x) => (
+              <ResourceCard key={x.key} r={x} newTab={newTab} flag={linkFlag(linkStatus, x)} />
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+// The result list in each layout (card grid, compact table, sections per category) and the
+// sort/layout controls above it. Arrow keys move between results, Enter opens the focused one.
+// The list is a single tab stop: the result last focused (`active`, its position among the
+// rendered results) has tabIndex 0 and every other one -1.
+
+import React, { useState } from "react";
+import { cardInDirection, isTypingTarget } from "./a11y.js";
+import { trackClick } from "./analytics.js";
+import { avatarSpec } from "./avatar.js";
+import ResourceCard, { ChannelLinks, Highlight, LinkBadge, ResourceLogo, detailLinkProps } from "./ResourceCard.jsx";
+import { useI18n } from "./i18n.js";
+import { hostnameOf } from "./resources.js";
+import { navigate, resourcePath } from "./router.js";
+import { LAYOUT_GROUPED, LAYOUT_LABELS, LAYOUT_LIST, UNCATEGORIZED, groupByCategory } from "./viewOptions.js";
+
+// Categories shown by name when no `tagInfo` (see categoryInfo in src/taxonomy.js) is passed in.
+const plainInfo = (tag) => ({ label: tag, icon: "", description: "" });
+
+// The tab stop among `count` results: the active one, or the first once that is gone.
+const tabStopIn = (active, count) => (active < count ? active : 0);
+
+export function ViewControls({ sort, sorts, onSortChange, layout, onLayoutChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-700 dark:text-neutral-300">
+      <label className="inline-flex items-center gap-1">
+        {t("view.sort")}
+        <select
+          value={sort}
+          onChange={(e) => onSortChange(e.target.value)}
+          className="rounded-lg border border-neutral-300 bg-white px-2 py-1 text-xs dark:border-neutral-600 dark:bg-neutral-900"
+        >
+          {sorts.map((s) => (
+            <option key={s} value={s}>
+              {t(`sort.${s}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div role="group" aria-label={t("view.layout")} className="inline-flex overflow-hidden rounded-lg border border-neutral-300 bg-white dark:border-neutral-600 dark:bg-neutral-900">
+        {Object.keys(LAYOUT_LABELS).map((value) => (
+          <button
+            key={value}
+            type="button"
+            aria-pressed={layout === value}
+            onClick={() => onLayoutChange(value)}
+            className={`px-2 py-1 ${layout === value ? "bg-brand-accent text-brand-accent-text" : "hover:bg-neutral-50 dark:hover:bg-neutral-800"}`}
+          >
+            {t(`layout.${value}`)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// `start` is the position of the first card among all the rendered results (see GroupedResources).
+export function CardGrid({ rows, words, newTab, flagFor, actions, detailTarget, active = 0, start = 0 }) {
+  return (
+    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+      {rows.map((r, i) => (
+        <ResourceCard
+          key={r.key}
+          r={r}
+          words={words.get(r.key)}
+          newTab={newTab}
+          flag={flagFor(r)}
+          tabIndex={start + i === active ? 0 : -1}
+          actions={actions}
+          detailTarget={detailTarget}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Compact table: one line per resource for scanning long lists.
+export function ResourceTable({ rows, words, newTab, flagFor, actions, detailTarget, tagInfo = plainInfo, active = 0 }) {
+  const { t } = useI18n();
+  const target = newTab ? "_blank" : undefined;
+  return (
+    <div className="overflow-x-auto rounded-2xl border border-neutral-200 bg-white shadow-sm dark:border-neutral-700 dark:bg-neutral-900 dark:text-neutral-100">
+      <table className="min-w-full text-left text-sm">
+        <thead className="border-b border-neutral-200 text-xs text-neutral-500 dark:border-neutral-700 dark:text-neutral-400">
+          <tr>
+            <th className="px-3 py-2 font-medium">{t("table.resource")}</th>
+            <th className="hidden px-3 py-2 font-medium md:table-cell">{t("table.description")}</th>
+            <th className="hidden px-3 py-2 font-medium lg:table-cell">{t("table.categories")}</th>
+            <th className="px-3 py-2" />
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-neutral-100 dark:divide-neutral-800">
+          {rows.map((r, i) => (
+            <tr
+              key={r.key}
+              data-card
+              data-href={resourcePath(r.id)}
+              tabIndex={i === active ? 0 : -1}
+              aria-label={r.title}
+              className="align-top hover:bg-neutral-50 focus:outline-none focus-visible:bg-neutral-100 dark:hover:bg-neutral-800 dark:focus-visible:bg-neutral-800"
+            >
+              <td className="px-3 py-2">
+                <div className="flex items-center gap-2">
+                  <ResourceLogo src={r.image} logo={r.logo} placeholder={avatarSpec(r)} size={20} />
+                  <div className="min-w-0">
+                    {r.link ? (
+                      <a
+                        href={r.link}
+                        target={target}
+                        rel="noreferrer noopener"
+                        onClick={() => trackClick(r.id)}
+                        className="font-medium hover:underline"
+                      >
+                        <Highlight text={r.title} words={words.get(r.key)} />
+                      </a>
+                    ) : (
+                      <span className="font-medium">
+                        <Highlight text={r.title} words={words.get(r.key)} />
+                      </span>
+                    )}
+                    <div className="text-xs text-neutral-500 dark:text-neutral-400">{hostnameOf(r.link)}</div>
+                  </div>
+                </div>
+                <ChannelLinks channels={r.channels} newTab={newTab} className="mt-1" />
+                <LinkBadge flag={flagFor(r)} className="mt-1" />
+              </td>
+              <td className="hidden max-w-md px-3 py-2 text-neutral-700 md:table-cell dark:text-neutral-300">
+                <p className="line-clamp-2">
+                  <Highlight text={r.description} words={words.get(r.key)} />
+                </p>
+              </td>
+              <td className="hidden px-3 py-2 text-xs text-neutral-600 lg:table-cell dark:text-neutral-400">{r.categories.map((c) => tagInfo(c).label).join(", ")}</td>
+              <td className="whitespace-nowrap px-3 py-2 text-right">
+                <div className="flex items-center justify-end gap-1">
+                  {actions && actions(r)}
+                  <a
+                    href={resourcePath(r.id)}
+                    {...detailLinkProps(detailTarget)}
+                    className="text-xs text-neutral-600 hover:underline dark:text-neutral-400"
+                  >
+                    {t("card.details")}
+                  </a>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// A collapsible section per category, in the order of the category filter, with the taxonomy's
+// icon and description.
+// A row in several categories shows in each of their sections.
+function GroupedResources({ rows, tags, tagInfo, active, ...rest }) {
+  const { t } = useI18n();
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const toggle = (tag) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      next.has(tag) ? next.delete(tag) : next.add(tag);
+      return next;
+    });
+
+  // Where each section's cards start among the rendered ones; collapsed sections render none.
+  const groups = groupByCategory(rows, tags);
+  let count = 0;
+  const starts = groups.map(({ tag, rows: groupRows }) => {
+    const start = count;
+    if (!collapsed.has(tag)) count += groupRows.length;
+    return start;
+  });
+  const tabStop = tabStopIn(active, count);
+
+  return (
+    <div className="space-y-6">
+      {groups.map(({ tag, rows: groupRows }, k) => {
+        const open = !collapsed.has(tag);
+        const info = tag === UNCATEGORIZED ? { label: t("category.uncategorized") } : tagInfo(tag);
+        return (
+          <section key={tag}>
+            <h2>
+              <button
+                type="button"
+                aria-expanded={open}
+                onClick={() => toggle(tag)}
+                className="flex w-full items-center gap-2 rounded-lg bg-white/90 px-2 py-1 text-left text-lg font-semibold dark:bg-brand-page/90"
+              >
+                <span aria-hidden="true" className={`text-sm transition motion-reduce:transition-none ${open ? "rotate-90" : ""}`}>
+                  ▶
+                </span>
+                {info.icon && <span aria-hidden="true">{info.icon}</span>}
+                {info.label}
+                <span className="text-sm font-normal text-neutral-500 dark:text-neutral-400">{groupRows.length}</span>
+              </button>
+            </h2>
+            {info.description && <p className="mt-1 px-2 text-sm text-neutral-600 dark:text-neutral-400">{info.description}</p>}
+            {open && (
+              <div className="mt-3">
+                <CardGrid rows={groupRows} active={tabStop} start={starts[k]} {...rest} />
+              </div>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+function onResultsKeyDown(e) {
+  const card = e.target.closest && e.target.closest("[data-card]");
+  if (!card || isTypingTarget(e.target) || e.metaKey || e.ctrlKey || e.altKey) return;
+  if (e.key === "Enter" && e.target === card) {
+    e.preventDefault();
+    navigate(card.dataset.href);
+    return;
+  }
+  const next = cardInDirection(e.currentTarget, card, e.key);
+  if (next) {
+    e.preventDefault();
+    next.focus();
+  }
+}
+
+// `actions(r)`: controls shown with each result (see ResourceCard).
+export default function ResourceResults({ rows, layout, tags, tagInfo = plainInfo, words, newTab, flagFor, actions }) {
+  const [active, setActive] = useState(0);
+  const props = { rows, words, newTab, flagFor, actions };
+  // Arrow keys, Home/End and clicks all move focus, so following focus keeps the tab stop in step.
+  const onFocus = (e) => {
+    const card = e.target.closest && e.target.closest("[data-card]");
+    const i = card ? Array.from(e.currentTarget.querySelectorAll("[data-card]")).indexOf(card) : -1;
+    if (i !== -1) setActive(i);
+  };
+  return (
+    <div onKeyDown={onResultsKeyDown} onFocus={onFocus}>
+      {layout === LAYOUT_LIST ? (
+        <ResourceTable tagInfo={tagInfo} active={tabStopIn(active, rows.length)} {...props} />
+      ) : layout === LAYOUT_GROUPED ? (
+        <GroupedResources tags={tags} tagInfo={tagInfo} active={active} {...props} />
+      ) : (
+        <CardGrid active={tabStopIn(active, rows.length)} {...props} />
+      )}
+    </div>
+  );
+}
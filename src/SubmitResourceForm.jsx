@@ -0,0 +1,189 @@
+// "Suggest a resource" form. Posts to /api/submit-resource, which queues it for moderation.
+
+import React, { useState } from "react";
+import { useI18n } from "./i18n.js";
+import { parseList } from "./resources.js";
+import { MAX_LOGO_BYTES, LOGO_TYPES, validateSubmission } from "./validation.js";
+
+const SUBMIT_URL = "/api/submit-resource";
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+const inputClass =
+  "mt-1 w-full rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm outline-none focus:border-neutral-900 dark:border-neutral-600 dark:bg-neutral-900 dark:focus:border-neutral-300";
+
+function Field({ label, hint, error, children }) {
+  return (
+    <label className="block text-sm">
+      <span className="font-medium">{label}</span>
+      {hint && <span className="ml-1 text-xs text-neutral-500 dark:text-neutral-400">{hint}</span>}
+      {children}
+      {error && <span className="mt-1 block text-xs text-red-700 dark:text-red-400">{error}</span>}
+    </label>
+  );
+}
+
+// `labelOf` is how a category shows in the current language; the English name is what's sent.
+export default function SubmitResourceForm({ categories, labelOf = (c) => c, onClose }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState({
+    title: "",
+    link: "",
+    description: "",
+    categories: [],
+    newCategories: "",
+    cardCategories: "",
+    submitter: "",
+    website: "",
+  });
+  const [logo, setLogo] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [status, setStatus] = useState("idle"); // idle | sending | sent | failed
+  const [serverError, setServerError] = useState("");
+
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+  const toggleCategory = (c) =>
+    setForm((f) => ({
+      ...f,
+      categories: f.categories.includes(c) ? f.categories.filter((x) => x !== c) : [...f.categories, c],
+    }));
+
+  const submission = () => ({
+    title: form.title.trim(),
+    link: form.link.trim(),
+    description: form.description.trim(),
+    categories: form.categories,
+    newCategories: parseList(form.newCategories),
+    cardCategories: parseList(form.cardCategories),
+    submitter: form.submitter.trim(),
+    website: form.website,
+  });
+
+  const errorFor = (field) =>
+    problems
+      .filter((p) => p.field === field)
+      .map((p) => (p.code ? t(`problem.${p.code}`, p.vars) : p.message))
+      .join(" · ");
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    const s = submission();
+    const found = validateSubmission({ ...s, logo: logo && { type: logo.type, size: logo.size } });
+    setProblems(found);
+    if (found.length) return;
+
+    setStatus("sending");
+    setServerError("");
+    try {
+      const body = { ...s };
+      if (logo) body.logo = { name: logo.name, type: logo.type, data: await readAsDataUrl(logo) };
+      const r = await fetch(SUBMIT_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        setProblems(data.problems || []);
+        if (r.status === 429) setServerError(t("submit.tooMany"));
+        else if (data.problems?.length) setServerError(t("submit.invalid"));
+        else setServerError(t("submit.failed", { status: r.status }));
+        setStatus("failed");
+        return;
+      }
+      setStatus("sent");
+    } catch {
+      setServerError(t("submit.offline"));
+      setStatus("failed");
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center overflow-auto bg-black/40 p-4" role="dialog" aria-modal="true" aria-labelledby="submit-title">
+      <div className="mt-10 w-full max-w-xl rounded-2xl bg-white p-5 shadow-2xl dark:bg-neutral-900">
+        <div className="flex items-center justify-between">
+          <h2 id="submit-title" className="text-lg font-semibold">{t("actions.suggest")}</h2>
+          <button type="button" onClick={onClose} className="rounded-lg px-2 py-1 text-sm hover:bg-neutral-100 dark:hover:bg-neutral-800" aria-label={t("actions.close")}>
+            ✕
+          </button>
+        </div>
+
+        {status === "sent" ? (
+          <div className="mt-4 text-sm text-neutral-800 dark:text-neutral-200">
+            <p>{t("submit.thanks")}</p>
+            <button type="button" onClick={onClose} className="mt-4 rounded-xl bg-brand-accent px-4 py-2 text-sm text-brand-accent-text">
+              {t("submit.done")}
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={onSubmit} className="mt-4 space-y-4" noValidate>
+            <Field label={t("submit.name")} error={errorFor("title")}>
+              <input className={inputClass} value={form.title} onChange={set("title")} required />
+            </Field>
+            <Field label={t("submit.url")} error={errorFor("link")}>
+              <input className={inputClass} type="url" value={form.link} onChange={set("link")} placeholder="https://" required />
+            </Field>
+            <Field label={t("submit.description")} error={errorFor("description")}>
+              <textarea className={inputClass} rows={3} value={form.description} onChange={set("description")} required />
+            </Field>
+
+            <fieldset className="text-sm">
+              <legend className="font-medium">{t("submit.categories")}</legend>
+              <div className="mt-2 grid max-h-40 grid-cols-2 gap-x-4 gap-y-1 overflow-auto">
+                {categories.map((c) => (
+                  <label key={c} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 accent-brand-accent"
+                      checked={form.categories.includes(c)}
+                      onChange={() => toggleCategory(c)}
+                    />
+                    <span>{labelOf(c)}</span>
+                  </label>
+                ))}
+              </div>
+              {errorFor("categories") && <span className="mt-1 block text-xs text-red-700 dark:text-red-400">{errorFor("categories")}</span>}
+            </fieldset>
+            <Field label={t("submit.newCategory")} hint={t("submit.newCategoryHint")}>
+              <input className={inputClass} value={form.newCategories} onChange={set("newCategories")} />
+            </Field>
+            <Field label={t("submit.cardCategories")} hint={t("submit.cardCategoriesHint")}>
+              <input className={inputClass} value={form.cardCategories} onChange={set("cardCategories")} />
+            </Field>
+            <Field label={t("submit.logo")} hint={t("submit.logoHint", { size: Math.round(MAX_LOGO_BYTES / 1024) })} error={errorFor("logo")}>
+              <input
+                className="mt-1 block w-full text-sm"
+                type="file"
+                accept={LOGO_TYPES.join(",")}
+                onChange={(e) => setLogo(e.target.files?.[0] || null)}
+              />
+            </Field>
+            <Field label={t("submit.submitter")} hint={t("submit.optional")}>
+              <input className={inputClass} value={form.submitter} onChange={set("submitter")} />
+            </Field>
+
+            {/* Honeypot for bots */}
+            <input type="text" name="website" value={form.website} onChange={set("website")} tabIndex={-1} autoComplete="off" className="hidden" aria-hidden="true" />
+
+            {serverError && <p className="text-sm text-red-700 dark:text-red-400">{serverError}</p>}
+
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={onClose} className="rounded-xl border border-neutral-300 px-4 py-2 text-sm dark:border-neutral-600">
+                {t("actions.cancel")}
+              </button>
+              <button type="submit" disabled={status === "sending"} className="rounded-xl bg-brand-accent px-4 py-2 text-sm text-brand-accent-text disabled:opacity-50">
+                {status === "sending" ? t("submit.sending") : t("submit.send")}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+// "Trending this week": the resources opened most over the last 7 days (src/analytics.js),
+// as a row of small links above the search.
+
+import React from "react";
+import { avatarSpec } from "./avatar.js";
+import { useI18n } from "./i18n.js";
+import { ResourceLogo } from "./ResourceCard.jsx";
+import { onLinkClick, resourcePath } from "./router.js";
+
+const SIZE = 6;
+
+// The most clicked rows; `counts` maps card id → clicks (see cardCounts).
+export function trendingRows(rows, counts, size = SIZE) {
+  return rows
+    .filter((r) => counts.get(r.id))
+    .sort((a, b) => counts.get(b.id) - counts.get(a.id))
+    .slice(0, size);
+}
+
+export default function TrendingStrip({ rows }) {
+  const { t } = useI18n();
+  if (!rows.length) return null;
+  return (
+    <section aria-labelledby="trending-title" className="mx-auto mt-5 max-w-3xl">
+      <h2 id="trending-title" className="text-center text-sm font-semibold uppercase tracking-wide text-neutral-600 dark:text-neutral-400">
+        {t("trending.title")}
+      </h2>
+      <ol className="mt-2 flex flex-wrap justify-center gap-2">
+        {rows.map((r) => (
+          <li key={r.key}>
+            <a
+              href={resourcePath(r.id)}
+              onClick={onLinkClick}
+              className="flex items-center gap-2 rounded-full border border-neutral-200 bg-white py-1 pl-1 pr-3 text-sm shadow-sm hover:border-neutral-900 dark:border-neutral-700 dark:bg-neutral-900 dark:hover:border-neutral-300"
+            >
+              <ResourceLogo src={r.image} logo={r.logo} placeholder={avatarSpec(r)} size={22} className="rounded-full" />
+              {r.title}
+            </a>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
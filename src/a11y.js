@@ -0,0 +1,88 @@
+// Keyboard and assistive-technology helpers shared by the filters, the results and the disclaimer.
+
+import { useEffect, useState } from "react";
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Keeps Tab / Shift+Tab inside `container` (for popups that should hold focus while open).
+export function trapTab(e, container) {
+  if (e.key !== "Tab" || !container) return;
+  const items = Array.from(container.querySelectorAll(FOCUSABLE));
+  if (!items.length) return;
+  const first = items[0];
+  const last = items[items.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+// True when a key press is meant for a text field rather than a page shortcut.
+export function isTypingTarget(el) {
+  if (!el) return false;
+  const tag = el.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || el.isContentEditable;
+}
+
+// Index to move to inside a list of `count` options for a navigation key, or null for other keys.
+export function listKeyTarget(key, index, count) {
+  if (!count) return null;
+  if (key === "ArrowDown" || key === "ArrowRight") return Math.min(index + 1, count - 1);
+  if (key === "ArrowUp" || key === "ArrowLeft") return Math.max(index - 1, 0);
+  if (key === "Home") return 0;
+  if (key === "End") return count - 1;
+  return null;
+}
+
+// Arrow-key movement between `[data-card]` elements inside `container`. Left/Right follow
+// reading order; Up/Down go to the nearest card in the same column (or the previous/next one
+// in a single-column layout). Returns the card to focus, or null.
+export function cardInDirection(container, from, key) {
+  const cards = Array.from(container.querySelectorAll("[data-card]"));
+  const i = cards.indexOf(from);
+  if (i === -1) return null;
+  if (key === "Home") return cards[0];
+  if (key === "End") return cards[cards.length - 1];
+  if (key === "ArrowRight") return cards[i + 1] || null;
+  if (key === "ArrowLeft") return cards[i - 1] || null;
+  if (key !== "ArrowDown" && key !== "ArrowUp") return null;
+
+  const down = key === "ArrowDown";
+  const at = from.getBoundingClientRect();
+  const step = down ? 1 : -1;
+  for (let j = i + step; j >= 0 && j < cards.length; j += step) {
+    const r = cards[j].getBoundingClientRect();
+    if (Math.abs(r.left - at.left) < 4 && r.top !== at.top) return cards[j];
+  }
+  return cards[i + step] || null;
+}
+
+export function useMediaQuery(query) {
+  const get = () => typeof window !== "undefined" && !!window.matchMedia && window.matchMedia(query).matches;
+  const [matches, setMatches] = useState(get);
+  useEffect(() => {
+    if (!window.matchMedia) return;
+    const mql = window.matchMedia(query);
+    const update = () => setMatches(mql.matches);
+    update();
+    mql.addEventListener("change", update);
+    return () => mql.removeEventListener("change", update);
+  }, [query]);
+  return matches;
+}
+
+export const usePrefersReducedMotion = () => useMediaQuery("(prefers-reduced-motion: reduce)");
+
+// `text` once it has stopped changing for `delay` ms, so a live region isn't flooded while typing.
+export function useSettledText(text, delay = 600) {
+  const [settled, setSettled] = useState(text);
+  useEffect(() => {
+    const t = setTimeout(() => setSettled(text), delay);
+    return () => clearTimeout(t);
+  }, [text, delay]);
+  return settled;
+}
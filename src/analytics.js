@@ -0,0 +1,47 @@
+// Anonymous outbound-click counts: which resources people open, per day, nothing about who.
+// Clicks go to /api/clicks with navigator.sendBeacon (no cookies, no ids). Nothing is sent when
+// the browser asks not to be tracked (Do Not Track or Global Privacy Control).
+
+export const CLICKS_URL = "/api/clicks";
+
+export function trackingAllowed() {
+  if (typeof navigator === "undefined") return false;
+  const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+  return dnt !== "1" && dnt !== "yes" && !navigator.globalPrivacyControl;
+}
+
+// Fire-and-forget; text/plain keeps the beacon a simple request.
+export function trackClick(id) {
+  if (!id || !trackingAllowed()) return;
+  const body = JSON.stringify({ id });
+  try {
+    if (navigator.sendBeacon && navigator.sendBeacon(CLICKS_URL, new Blob([body], { type: "text/plain" }))) return;
+    fetch(CLICKS_URL, { method: "POST", body, keepalive: true, headers: { "Content-Type": "text/plain" } }).catch(() => {});
+  } catch {
+    // Analytics never get in the way of opening the link.
+  }
+}
+
+// { popular, trending } as Maps of resource id → clicks (last 30 and 7 days), or null.
+export async function loadClickStats(url = CLICKS_URL) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return null;
+    const data = await res.json();
+    const toMap = (o) => new Map(Object.entries(o || {}).filter(([, n]) => Number(n) > 0));
+    return { popular: toMap(data.popular), trending: toMap(data.trending) };
+  } catch {
+    return null;
+  }
+}
+
+// Clicks per card: a grouped project (src/projects.js) adds up its channel rows.
+export function cardCounts(rows, counts) {
+  const out = new Map();
+  if (!counts) return out;
+  rows.forEach((r) => {
+    const n = [r, ...(r.children || [])].reduce((sum, x) => sum + (counts.get(x.id) || 0), 0);
+    if (n) out.set(r.id, n);
+  });
+  return out;
+}
@@ -0,0 +1,121 @@
+// Nouns-style placeholder avatars for resources without a logo: a pair of noggles over one of
+// the accessory sprites in public/images/accessories, on a background colour taken from the
+// resource's primary category. Everything is derived from the title slug, so a resource always
+// gets the same avatar. Used by the card at runtime (inline SVG) and by the build (SVG/PNG files).
+
+import { slug } from "./resources.js";
+
+export const ACCESSORY_DIR = "/images/accessories";
+export const ACCESSORIES = [
+  "accessory-1-noun-2.png",
+  "accessory-1-noun.png",
+  "accessory-arrow.png",
+  "accessory-bling-rings.png",
+  "accessory-bling.png",
+  "accessory-bulb.png",
+  "accessory-carrot.png",
+  "accessory-eth.png",
+  "accessory-heart.png",
+  "accessory-infinity.png",
+  "accessory-lol.png",
+  "accessory-nil.png",
+  "accessory-rgb.png",
+  "accessory-txt.png",
+  "accessory-wet-money.png",
+];
+
+// Where the build writes avatars: /logos/avatars/<id>.svg and .png
+export const AVATAR_DIR = "/logos/avatars";
+
+const FRAME_COLORS = ["#ff0e0e", "#254efb", "#f98f30", "#5fd4fb", "#1f1d29", "#068940", "#ffc110", "#e9265c"];
+
+// Noggles on a 15×6 grid: F frame, W white lens, B black lens.
+const NOGGLES = [
+  "..FFFFFF.FFFFFF",
+  "..FWWBBF.FWWBBF",
+  "FFFWWBBFFFWWBBF",
+  "F.FWWBBF.FWWBBF",
+  "F.FWWBBF.FWWBBF",
+  "..FFFFFF.FFFFFF",
+];
+const NOGGLES_AT = { x: 9, y: 8 };
+const ACCESSORY_BOX = { x: 8, y: 16, width: 16, height: 16 };
+export const AVATAR_VIEWBOX = 32;
+
+// FNV-1a, enough to spread slugs over a handful of choices.
+export function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function hslToHex(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    const c = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(c * 255)
+      .toString(16)
+      .padStart(2, "0");
+  };
+  return `#${f(0)}${f(8)}${f(4)}`;
+}
+
+// Same category, same colour, wherever it appears. Mid-tones so the light sprites stay visible.
+export const categoryColor = (category) =>
+  category ? hslToHex(hashString(slug(category)) % 360, 0.45, 0.5) : "#807f7e";
+
+export function avatarSpec(r) {
+  const seed = slug(r.title) || r.id || "";
+  const h = hashString(seed);
+  return {
+    seed,
+    background: categoryColor((r.categories || [])[0]),
+    frame: FRAME_COLORS[hashString(`${seed}:frame`) % FRAME_COLORS.length],
+    accessory: ACCESSORIES[h % ACCESSORIES.length],
+  };
+}
+
+// The avatar as a list of { tag, attrs } shapes in a 32×32 viewBox, rendered by avatarSvg()
+// here and by <NounAvatar> in the card. `accessoryHref` defaults to the public sprite URL.
+export function avatarShapes(spec, { accessoryHref } = {}) {
+  const shapes = [
+    { tag: "rect", attrs: { x: 0, y: 0, width: AVATAR_VIEWBOX, height: AVATAR_VIEWBOX, fill: spec.background } },
+    {
+      tag: "image",
+      attrs: { ...ACCESSORY_BOX, href: accessoryHref || `${ACCESSORY_DIR}/${spec.accessory}`, preserveAspectRatio: "xMidYMid meet" },
+    },
+  ];
+  const fills = { F: spec.frame, W: "#ffffff", B: "#000000" };
+  // One rect per horizontal run of the same colour.
+  NOGGLES.forEach((row, y) => {
+    for (let x = 0; x < row.length; ) {
+      const c = row[x];
+      let end = x + 1;
+      while (end < row.length && row[end] === c) end++;
+      if (fills[c]) {
+        shapes.push({
+          tag: "rect",
+          attrs: { x: NOGGLES_AT.x + x, y: NOGGLES_AT.y + y, width: end - x, height: 1, fill: fills[c] },
+        });
+      }
+      x = end;
+    }
+  });
+  return shapes;
+}
+
+const attr = (v) => String(v).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+
+export function avatarSvg(spec, options) {
+  const body = avatarShapes(spec, options)
+    .map(({ tag, attrs }) => `<${tag} ${Object.entries(attrs).map(([k, v]) => `${k}="${attr(v)}"`).join(" ")}/>`)
+    .join("");
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${AVATAR_VIEWBOX} ${AVATAR_VIEWBOX}" ` +
+    `shape-rendering="crispEdges">${body}</svg>`
+  );
+}
@@ -0,0 +1,123 @@
+// Favorites and named collections, kept in localStorage. Items are resource ids (the `ID`
+// column or the title slug), so they survive the sheet being reordered.
+//   { version: 1, favorites: [id], collections: [{ id, name, items: [id] }] }
+// Collections can be exported/imported as that JSON, or shared as a link (?ids=a,b&name=Art+kit).
+
+import { useCallback, useEffect, useState } from "react";
+
+const STORAGE_KEY = "nouns-directory:collections";
+const VERSION = 1;
+
+export const SCOPE_ALL = "";
+export const SCOPE_FAVORITES = "favorites";
+
+const empty = () => ({ version: VERSION, favorites: [], collections: [] });
+
+const idList = (list) =>
+  Array.from(new Set((Array.isArray(list) ? list : []).map((x) => String(x).trim()).filter(Boolean)));
+
+const newId = () => Math.random().toString(36).slice(2, 10);
+
+// Cleans up anything read from storage or an imported file. Throws on data that isn't ours.
+export function normalizeCollections(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Not a collections file");
+  const collections = (Array.isArray(data.collections) ? data.collections : [])
+    .filter((c) => c && typeof c.name === "string" && c.name.trim())
+    .map((c) => ({ id: String(c.id || newId()), name: c.name.trim().slice(0, 80), items: idList(c.items) }));
+  return { version: VERSION, favorites: idList(data.favorites), collections };
+}
+
+export function readCollections() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? normalizeCollections(JSON.parse(raw)) : empty();
+  } catch {
+    return empty();
+  }
+}
+
+function writeCollections(data) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  } catch {
+    // Storage unavailable: changes last for this visit only.
+  }
+}
+
+const toggle = (list, id) => (list.includes(id) ? list.filter((x) => x !== id) : [...list, id]);
+
+// Merge an imported file into `current`: favorites are unioned, collections with the same
+// name get the imported items added, new names are appended.
+export function mergeCollections(current, incoming) {
+  const favorites = idList([...current.favorites, ...incoming.favorites]);
+  const collections = current.collections.map((c) => ({ ...c, items: [...c.items] }));
+  for (const c of incoming.collections) {
+    const same = collections.find((x) => x.name.toLowerCase() === c.name.toLowerCase());
+    if (same) same.items = idList([...same.items, ...c.items]);
+    else collections.push({ ...c, id: collections.some((x) => x.id === c.id) ? newId() : c.id });
+  }
+  return { version: VERSION, favorites, collections };
+}
+
+export const exportCollections = ({ favorites, collections }) =>
+  JSON.stringify({ version: VERSION, favorites, collections }, null, 2);
+
+// Link that opens the directory filtered to a collection's resources.
+export function collectionShareUrl({ name, items }, origin = window.location.origin) {
+  const params = new URLSearchParams({ ids: items.join(","), name });
+  return `${origin}/?${params.toString().replace(/%2C/gi, ",")}`;
+}
+
+export function useCollections() {
+  const [data, setData] = useState(readCollections);
+
+  // Another tab changed them.
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === STORAGE_KEY) setData(readCollections());
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  const update = useCallback((fn) => {
+    setData((prev) => {
+      const next = fn(prev);
+      writeCollections(next);
+      return next;
+    });
+  }, []);
+
+  return {
+    ...data,
+    isFavorite: (id) => data.favorites.includes(id),
+    toggleFavorite: (id) => update((d) => ({ ...d, favorites: toggle(d.favorites, id) })),
+    createCollection: (name, items = []) => {
+      const id = newId();
+      update((d) => ({ ...d, collections: [...d.collections, { id, name: name.trim().slice(0, 80), items: idList(items) }] }));
+      return id;
+    },
+    renameCollection: (id, name) =>
+      update((d) => ({ ...d, collections: d.collections.map((c) => (c.id === id ? { ...c, name: name.trim().slice(0, 80) } : c)) })),
+    deleteCollection: (id) => update((d) => ({ ...d, collections: d.collections.filter((c) => c.id !== id) })),
+    toggleItem: (collectionId, resourceId) =>
+      update((d) => ({
+        ...d,
+        collections: d.collections.map((c) => (c.id === collectionId ? { ...c, items: toggle(c.items, resourceId) } : c)),
+      })),
+    // Throws when the text isn't a collections export.
+    importJson: (text) => {
+      const incoming = normalizeCollections(JSON.parse(text));
+      update((d) => mergeCollections(d, incoming));
+      return incoming;
+    },
+  };
+}
+
+// Ids to show for a scope: favorites, one of the collections, or null for everything.
+export function scopeIds(scope, store) {
+  if (!scope) return null;
+  if (scope === SCOPE_FAVORITES) return new Set(store.favorites);
+  const c = store.collections.find((x) => x.id === scope);
+  return c ? new Set(c.items) : null;
+}
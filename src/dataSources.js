@@ -0,0 +1,128 @@
+// Where the directory's rows come from.
+//   csv   — the bundled /resources.csv (default, always the fallback)
+//   sheet — a published Google Sheet CSV, fetched through /api/sheet-proxy
+//   json  — a JSON array of records keyed by the same column names as the CSV
+// Pick one with VITE_DATA_SOURCE; VITE_SHEET_CSV_URL / VITE_RESOURCES_JSON_URL point the remote ones.
+// Whatever the source, categories are then mapped onto the taxonomy (public/taxonomy.json).
+// The site fetches over HTTP; the API (api/_lib/directory.js) runs the same loaders with its own
+// `io`, reading the bundled files from disk and the sheet directly.
+
+import { applyLogos, loadLogoManifest } from "./logos.js";
+import { COLUMNS, parseResourceRecords, parseResources } from "./resources.js";
+import { TAXONOMY_URL, applyTaxonomy, loadTaxonomy } from "./taxonomy.js";
+
+const env = import.meta.env || {};
+
+export const DATA_CONFIG = {
+  source: env.VITE_DATA_SOURCE || "csv",
+  csvUrl: "/resources.csv",
+  sheetCsvUrl: env.VITE_SHEET_CSV_URL || "",
+  jsonUrl: env.VITE_RESOURCES_JSON_URL || "/resources.json",
+  proxyUrl: "/api/sheet-proxy",
+  taxonomyUrl: TAXONOMY_URL,
+  columns: COLUMNS,
+};
+
+// Error with the start of the offending response attached, for the debug box in the UI.
+export class DataSourceError extends Error {
+  constructor(message, snippet = "") {
+    super(message);
+    this.name = "DataSourceError";
+    this.snippet = snippet;
+  }
+}
+
+async function fetchText(url) {
+  const r = await fetch(url, { cache: "no-store" });
+  const text = await r.text();
+  if (!r.ok) throw new DataSourceError(`${url} returned non-200 status: ${r.status}`, text.slice(0, 200));
+  return text;
+}
+
+function parseCsv(text, config, hint) {
+  if (/^\s*</.test(text)) throw new DataSourceError(`Expected CSV but got HTML${hint}`, text.slice(0, 200));
+  return parseResources(text, config.columns);
+}
+
+// Each loader takes the config and `readText(url)`, which resolves to the body of a 2xx response.
+const loaders = {
+  async csv(config, readText) {
+    const text = await readText(config.csvUrl);
+    return parseCsv(text, config, " (are you sure /public/resources.csv exists in the deployed build?)");
+  },
+
+  // Through the proxy in the browser; without a proxyUrl (server side) the sheet is read directly.
+  async sheet(config, readText) {
+    if (!config.sheetCsvUrl) throw new DataSourceError("VITE_SHEET_CSV_URL is not set.");
+    if (!config.proxyUrl) return parseCsv(await readText(config.sheetCsvUrl), config, " from the sheet.");
+    const url = `${config.proxyUrl}?format=json&url=${encodeURIComponent(config.sheetCsvUrl)}`;
+    const text = await readText(url);
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new DataSourceError("Sheet proxy did not return JSON.", text.slice(0, 200));
+    }
+    // Anything but { fields, rows } (an { error } body, say) falls back like a failed request.
+    const isRow = (r) => r && typeof r === "object" && !Array.isArray(r);
+    if (!data || !Array.isArray(data.fields) || !Array.isArray(data.rows) || !data.rows.every(isRow)) {
+      throw new DataSourceError("Sheet proxy returned something other than { fields, rows }.", text.slice(0, 200));
+    }
+    return data;
+  },
+
+  async json(config, readText) {
+    const text = await readText(config.jsonUrl);
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new DataSourceError(`${config.jsonUrl} is not valid JSON.`, text.slice(0, 200));
+    }
+    const records = Array.isArray(data) ? data : data?.resources;
+    if (!Array.isArray(records)) {
+      throw new DataSourceError(`${config.jsonUrl} is neither an array nor { "resources": [...] }.`, text.slice(0, 200));
+    }
+    return parseResourceRecords(records, config.columns);
+  },
+};
+
+export const SOURCE_NAMES = Object.keys(loaders);
+
+// How the loaders reach their files: `readText(url)` for the rows, `readTaxonomy(url)` for the
+// indexed taxonomy (or null) and `readLogoManifest()` for the logo manifest (or null).
+const BROWSER_IO = { readText: fetchText, readTaxonomy: loadTaxonomy, readLogoManifest: loadLogoManifest };
+
+async function loadRows(config, readText) {
+  const name = loaders[config.source] ? config.source : "csv";
+  try {
+    const { rows, fields } = await loaders[name](config, readText);
+    return { rows, fields, source: name, fallbackError: null };
+  } catch (e) {
+    if (name === "csv") throw e;
+    console.warn(`Data source "${name}" failed, falling back to bundled CSV:`, e);
+    const { rows, fields } = await loaders.csv(config, readText);
+    return { rows, fields, source: "csv", fallbackError: e };
+  }
+}
+
+// Load rows from the configured source. If a remote source fails, fall back to the bundled CSV
+// and report why in `fallbackError`. Categories the taxonomy doesn't declare are reported in the
+// console and in `undeclared` (category → row ids).
+// Resolves to { rows, fields, source, fallbackError, taxonomy, undeclared }.
+export async function loadResources(config = DATA_CONFIG, io = BROWSER_IO) {
+  const [result, taxonomy] = await Promise.all([loadRows(config, io.readText), io.readTaxonomy(config.taxonomyUrl)]);
+  const { rows, undeclared } = applyTaxonomy(result.rows, taxonomy);
+  if (undeclared.size) {
+    const list = Array.from(undeclared, ([c, ids]) => `"${c}" (${ids.join(", ")})`).join("; ");
+    console.warn(`Categories not declared in ${config.taxonomyUrl}: ${list}`);
+  }
+  return { ...result, rows, taxonomy, undeclared };
+}
+
+// loadResources with each row pointed at its logo from the build's manifest: the rows the
+// directory, the embed and the public API all start from.
+export async function loadDirectory(config = DATA_CONFIG, io = BROWSER_IO) {
+  const [res, manifest] = await Promise.all([loadResources(config, io), io.readLogoManifest()]);
+  return { ...res, rows: applyLogos(res.rows, manifest) };
+}
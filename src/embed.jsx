@@ -0,0 +1,14 @@
+// Entry for /embed.html, the page <nouns-resources> (src/embedLoader.js) loads in an iframe.
+import React from "react";
+import { createRoot } from "react-dom/client";
+import "./index.css";
+import EmbedView from "./EmbedView.jsx";
+import { I18nProvider } from "./i18n.js";
+
+createRoot(document.getElementById("root")).render(
+  <React.StrictMode>
+    <I18nProvider>
+      <EmbedView />
+    </I18nProvider>
+  </React.StrictMode>
+);
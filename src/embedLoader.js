@@ -0,0 +1,65 @@
+// <nouns-resources> web component, built to /embed.js. It loads /embed.html (src/EmbedView.jsx) in
+// an iframe and keeps the iframe as tall as its content.
+//   <script src="https://resources.nouns.world/embed.js" defer></script>
+//   <nouns-resources categories="art,animation" max="6" layout="grid" theme="dark" heading="Nouns resources for artists"></nouns-resources>
+// Kept free of imports so it stays a single small classic script.
+
+const HEIGHT_MESSAGE = "nouns-resources:height"; // same as EMBED_HEIGHT_MESSAGE in src/EmbedView.jsx
+const SCRIPT_ORIGIN = document.currentScript ? new URL(document.currentScript.src).origin : window.location.origin;
+
+// Element attribute → /embed.html query parameter.
+const PARAMS = {
+  categories: "c",
+  exclude: "x",
+  match: "m",
+  query: "q",
+  max: "max",
+  layout: "layout",
+  theme: "theme",
+  heading: "heading",
+  lang: "lang",
+};
+
+class NounsResources extends HTMLElement {
+  static get observedAttributes() {
+    return [...Object.keys(PARAMS), "origin"];
+  }
+
+  connectedCallback() {
+    if (!this.iframe) {
+      this.iframe = document.createElement("iframe");
+      this.iframe.title = this.getAttribute("heading") || "Nouns resources";
+      this.iframe.loading = "lazy";
+      this.iframe.style.cssText = "display:block;width:100%;height:320px;border:0;background:transparent;";
+      this.attachShadow({ mode: "open" }).appendChild(this.iframe);
+    }
+    this.onMessage = (e) => {
+      if (e.source !== this.iframe.contentWindow || !e.data || e.data.type !== HEIGHT_MESSAGE) return;
+      this.iframe.style.height = `${Math.max(0, Number(e.data.height) || 0)}px`;
+    };
+    window.addEventListener("message", this.onMessage);
+    this.update();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener("message", this.onMessage);
+  }
+
+  attributeChangedCallback() {
+    if (this.iframe) this.update();
+  }
+
+  update() {
+    const params = new URLSearchParams();
+    for (const [attr, param] of Object.entries(PARAMS)) {
+      const value = this.getAttribute(attr);
+      if (value) params.set(param, value);
+    }
+    const origin = (this.getAttribute("origin") || SCRIPT_ORIGIN).replace(/\/+$/, "");
+    const src = `${origin}/embed.html?${params.toString().replace(/%2C/gi, ",")}`;
+    if (this.iframe.src !== src) this.iframe.src = src;
+    this.iframe.title = this.getAttribute("heading") || "Nouns resources";
+  }
+}
+
+if (!customElements.get("nouns-resources")) customElements.define("nouns-resources", NounsResources);
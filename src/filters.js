@@ -0,0 +1,49 @@
+// Category filter logic shared by the dropdowns and the result list.
+//   include: categories a row must have (any or all of them, depending on `mode`)
+//   exclude: categories a row must not have
+// A row's `allCategories` (see src/taxonomy.js) adds the parents of its categories, so a parent
+// category matches rows filed under any of its children.
+
+import { slug } from "./resources.js";
+
+export const MATCH_ANY = "any";
+export const MATCH_ALL = "all";
+
+export function matchesCategories(r, { include = [], exclude = [], mode = MATCH_ANY }) {
+  const have = new Set((r.allCategories || r.categories || []).map((c) => slug(c)));
+  if (exclude.some((t) => have.has(slug(t)))) return false;
+  if (!include.length) return true;
+  return mode === MATCH_ALL
+    ? include.every((t) => have.has(slug(t)))
+    : include.some((t) => have.has(slug(t)));
+}
+
+export const filterByCategories = (rows, filters) => rows.filter((r) => matchesCategories(r, filters));
+
+// Next state of a category's tri-state checkbox: off → include → exclude → off.
+export function cycleTagState(tag, { include, exclude }) {
+  const sl = slug(tag);
+  const without = (list) => list.filter((t) => slug(t) !== sl);
+  if (include.some((t) => slug(t) === sl)) return { include: without(include), exclude: [...without(exclude), tag] };
+  if (exclude.some((t) => slug(t) === sl)) return { include, exclude: without(exclude) };
+  return { include: [...include, tag], exclude };
+}
+
+export function tagState(tag, { include, exclude }) {
+  const sl = slug(tag);
+  if (include.some((t) => slug(t) === sl)) return "include";
+  if (exclude.some((t) => slug(t) === sl)) return "exclude";
+  return "off";
+}
+
+// For each tag, how many rows would be shown with that tag included (on top of the current filters).
+export function countsIfIncluded(rows, tags, filters) {
+  const counts = new Map();
+  for (const t of tags) {
+    const sl = slug(t);
+    const include = filters.include.some((x) => slug(x) === sl) ? filters.include : [...filters.include, t];
+    const exclude = filters.exclude.filter((x) => slug(x) !== sl);
+    counts.set(t, rows.reduce((n, r) => n + (matchesCategories(r, { ...filters, include, exclude }) ? 1 : 0), 0));
+  }
+  return counts;
+}
@@ -0,0 +1,130 @@
+// UI language: strings live in src/locales/<code>.json, keyed by dotted ids ("filters.clear").
+// Values may hold {placeholders} ({site} is the site name from site.config.json), and a
+// { one, other } object picks a plural form by `count`.
+// Missing strings fall back to English. The locale comes from ?lang= in the URL, then the last
+// choice (localStorage), then the browser's languages; the current one is kept in ?lang= so
+// shared links open in the same language.
+// Resource text is translated in the sheet itself: "Description (es)", "Category (es)", … columns
+// (see TRANSLATABLE and localizeRow in src/resources.js), falling back to English.
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import en from "./locales/en.json";
+import es from "./locales/es.json";
+import { slug } from "./resources.js";
+import { ROUTE_EVENT } from "./router.js";
+import { SITE } from "./site.js";
+
+export const DEFAULT_LOCALE = "en";
+export const LOCALES = { en, es };
+export const LOCALE_NAMES = { en: "English", es: "Español" };
+
+const STORAGE_KEY = "nouns-directory:locale";
+
+// The supported locale for a language tag ("es-AR" → "es"), or "".
+export function matchLocale(tag) {
+  const code = String(tag || "").toLowerCase().split("-")[0];
+  return code in LOCALES ? code : "";
+}
+
+export function detectLocale(search = window.location.search) {
+  const fromUrl = matchLocale(new URLSearchParams(search).get("lang"));
+  if (fromUrl) return fromUrl;
+  try {
+    const saved = matchLocale(localStorage.getItem(STORAGE_KEY));
+    if (saved) return saved;
+  } catch {}
+  const langs = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  return langs.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+}
+
+// The ?lang= value for a locale: omitted for English, the default.
+export const localeParam = (locale) => (locale === DEFAULT_LOCALE ? "" : locale);
+
+// Put the locale into the current URL without adding a history entry.
+function writeLocaleParam(locale) {
+  const params = new URLSearchParams(window.location.search);
+  const value = localeParam(locale);
+  if ((params.get("lang") || "") === value) return;
+  if (value) params.set("lang", value);
+  else params.delete("lang");
+  const search = params.toString().replace(/%2C/gi, ",");
+  window.history.replaceState(null, "", `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`);
+}
+
+export function translate(locale, key, vars = {}) {
+  vars = { site: SITE.name, ...vars };
+  let entry = LOCALES[locale]?.[key] ?? en[key] ?? key;
+  if (entry && typeof entry === "object") {
+    const form = new Intl.PluralRules(locale).select(Number(vars.count) || 0);
+    entry = entry[form] ?? entry.other;
+  }
+  return String(entry).replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+// "**bold**" spans in a translated string as <strong> elements.
+export function richText(text) {
+  return text
+    .split(/\*\*(.+?)\*\*/)
+    .map((part, i) => (i % 2 ? React.createElement("strong", { key: i }, part) : part));
+}
+
+// Lives with the row code so the API can localize without React.
+export { localizeRow } from "./resources.js";
+
+// Category slug → display name in `locale`, from rows whose translated category list lines up
+// with the English one.
+export function categoryLabels(rows, locale) {
+  const labels = new Map();
+  rows.forEach((r) => {
+    const translated = r.translations?.[locale]?.categories;
+    if (!translated || translated.length !== r.categories.length) return;
+    r.categories.forEach((c, i) => {
+      if (!labels.has(slug(c))) labels.set(slug(c), translated[i]);
+    });
+  });
+  return labels;
+}
+
+const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: (key, vars) => translate(DEFAULT_LOCALE, key, vars),
+});
+
+export const useI18n = () => useContext(I18nContext);
+
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(detectLocale);
+
+  const setLocale = useCallback((next) => {
+    const code = matchLocale(next) || DEFAULT_LOCALE;
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch {
+      // Private mode or storage full: the URL still carries the choice.
+    }
+    setLocaleState(code);
+  }, []);
+
+  // Keep <html lang> and ?lang= in step, including after in-app navigation drops the query.
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    writeLocaleParam(locale);
+    const sync = () => writeLocaleParam(locale);
+    window.addEventListener(ROUTE_EVENT, sync);
+    return () => window.removeEventListener(ROUTE_EVENT, sync);
+  }, [locale]);
+
+  // Back/forward to a URL in another language.
+  useEffect(() => {
+    const onPopState = () => {
+      const fromUrl = matchLocale(new URLSearchParams(window.location.search).get("lang"));
+      setLocaleState(fromUrl || DEFAULT_LOCALE);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  const value = useMemo(() => ({ locale, setLocale, t: (key, vars) => translate(locale, key, vars) }), [locale, setLocale]);
+  return React.createElement(I18nContext.Provider, { value }, children);
+}
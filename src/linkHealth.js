@@ -0,0 +1,33 @@
+// Link health report written by `npm run check-links` (public/link-status.json) and read by the
+// directory to badge cards whose URL redirects elsewhere or looks offline.
+//   { generatedAt, summary: { ok, redirect, offline, unknown }, results: { [id]: { url, status, code, finalUrl, error } } }
+
+export const LINK_STATUS_URL = "/link-status.json";
+
+export const LINK_OK = "ok";
+export const LINK_REDIRECT = "redirect";
+export const LINK_OFFLINE = "offline";
+// Reachable but refused the checker (401/403/429…): not worth flagging.
+export const LINK_UNKNOWN = "unknown";
+
+// The report entry for a row, or null when the row isn't flagged. Entries for a different URL
+// (the CSV changed since the last check) are ignored.
+export function linkFlag(report, r) {
+  const entry = report && report.results && report.results[r.id];
+  if (!entry || entry.url !== r.link) return null;
+  return entry.status === LINK_REDIRECT || entry.status === LINK_OFFLINE ? entry : null;
+}
+
+export const hideFlagged = (rows, report) => rows.filter((r) => !linkFlag(report, r));
+
+// The report is optional: a missing or broken file just means no badges.
+export async function loadLinkStatus(url = LINK_STATUS_URL) {
+  try {
+    const res = await fetch(url, { cache: "no-cache" });
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data && typeof data.results === "object" ? data : null;
+  } catch {
+    return null;
+  }
+}
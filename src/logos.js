@@ -0,0 +1,27 @@
+// Logo manifest written by the build (plugins/logos.js): which image each resource uses, in
+// optimized sizes and formats. Cards read it instead of guessing "/logos/<slug>.png".
+
+export const LOGO_MANIFEST_URL = "/logos/manifest.json";
+
+export async function loadLogoManifest(url = LOGO_MANIFEST_URL) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data && typeof data.logos === "object" ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Point each row's `image` at its manifest entry (with `logo` holding the srcset/sources).
+// Rows the manifest doesn't know (e.g. added to a live sheet since the build) keep an explicit
+// Logo URL or get no image. Without a manifest the rows are left as they are.
+export function applyLogos(rows, manifest) {
+  if (!manifest) return rows;
+  return rows.map((r) => {
+    const logo = manifest.logos[r.id];
+    if (logo) return { ...r, image: logo.src, logo };
+    return { ...r, image: r.logoUrl || "", logo: null };
+  });
+}
@@ -2,9 +2,12 @@ import React from "react";
 import { createRoot } from "react-dom/client";
 import "./index.css";
 import App from "./App.jsx";
+import { registerServiceWorker } from "./offline.js";
 
 createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+registerServiceWorker();
\ No newline at end of file
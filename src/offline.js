@@ -0,0 +1,28 @@
+// Service worker registration (production builds only) and its "served from cache" messages.
+
+import { translate } from "./i18n.js";
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((e) => console.warn("Service worker registration failed:", e));
+  });
+}
+
+// Calls `cb({ url, cachedAt })` when data was served from cache because the network fetch failed.
+// Returns an unsubscribe function.
+export function onDataFromCache(cb) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return () => {};
+  const handler = (e) => {
+    if (e.data && e.data.type === "data-from-cache") cb(e.data);
+  };
+  navigator.serviceWorker.addEventListener("message", handler);
+  return () => navigator.serviceWorker.removeEventListener("message", handler);
+}
+
+// When cached data was saved, in the UI language `locale`, for the "results.cached" message.
+export function formatCachedAt(iso, locale) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || Number.isNaN(d.getTime())) return translate(locale, "results.cachedEarlier");
+  return d.toLocaleString(locale, { dateStyle: "medium", timeStyle: "short" });
+}
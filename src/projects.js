@@ -0,0 +1,115 @@
+// One card per project: rows that are a project's channels ("Gnars on X", "Gnars on Discord")
+// are folded into the project's row ("Gnars DAO") with a link per channel. A row joins a project
+// through the `Project` column, or by a "<project> on <channel>" title. Names are compared by
+// slug without a trailing "DAO", so "Lil Nouns DAO on Farcaster" and "Lil Nouns on X.com" meet.
+// Only groups with at least one channel row are merged; everything else passes through as is.
+
+import { hostnameOf, slug } from "./resources.js";
+
+export const CHANNEL_WEBSITE = "website";
+export const CHANNEL_X = "x";
+export const CHANNEL_DISCORD = "discord";
+export const CHANNEL_FARCASTER = "farcaster";
+export const CHANNEL_BLOG = "blog";
+
+export const CHANNEL_LABELS = {
+  [CHANNEL_WEBSITE]: "Website",
+  [CHANNEL_X]: "X",
+  [CHANNEL_DISCORD]: "Discord",
+  [CHANNEL_FARCASTER]: "Farcaster",
+  [CHANNEL_BLOG]: "Blog",
+};
+
+const CHANNEL_HOSTS = [
+  [CHANNEL_X, ["x.com", "twitter.com"]],
+  [CHANNEL_DISCORD, ["discord.gg", "discord.com"]],
+  [CHANNEL_FARCASTER, ["warpcast.com", "farcaster.xyz"]],
+  [CHANNEL_BLOG, ["paragraph.com", "paragraph.xyz", "medium.com", "substack.com", "mirror.xyz"]],
+];
+
+const CHANNEL_WORDS = {
+  x: CHANNEL_X,
+  "x.com": CHANNEL_X,
+  twitter: CHANNEL_X,
+  discord: CHANNEL_DISCORD,
+  farcaster: CHANNEL_FARCASTER,
+  warpcast: CHANNEL_FARCASTER,
+  blog: CHANNEL_BLOG,
+  medium: CHANNEL_BLOG,
+  paragraph: CHANNEL_BLOG,
+  substack: CHANNEL_BLOG,
+  mirror: CHANNEL_BLOG,
+};
+
+const CHANNEL_TITLE = new RegExp(
+  `^(.+?)\\s+on\\s+(${Object.keys(CHANNEL_WORDS)
+    .map((w) => w.replace(".", "\\."))
+    .join("|")})$`,
+  "i"
+);
+
+export const projectKey = (name) => slug(name).replace(/-dao$/, "");
+
+// The channel a URL (or, without one, a title word like "Discord") points to.
+export function channelOf(link, word = "") {
+  const host = hostnameOf(link);
+  for (const [kind, hosts] of CHANNEL_HOSTS) {
+    if (hosts.some((h) => host === h || host.endsWith(`.${h}`))) return kind;
+  }
+  return link ? CHANNEL_WEBSITE : CHANNEL_WORDS[word.toLowerCase()] || CHANNEL_WEBSITE;
+}
+
+// { key, name, channel } when the row is one of a project's channels, else null.
+export function projectOf(r) {
+  if (r.project) return { key: projectKey(r.project), name: r.project, channel: channelOf(r.link) };
+  const m = r.title.match(CHANNEL_TITLE);
+  return m ? { key: projectKey(m[1]), name: m[1].trim(), channel: channelOf(r.link, m[2]) } : null;
+}
+
+const union = (lists) => Array.from(new Set(lists.flat()));
+
+// Rows for display: merged projects take the place of their first row. A project keeps its main
+// row's id, link and description, and gets `channels` ({ kind, label, url, title }, linked ones
+// only), `children` (the merged channel rows) and the categories of all of them, so category
+// filters and search still find it through any channel.
+export function groupProjects(rows) {
+  const groups = new Map();
+  const info = rows.map((r) => {
+    const p = projectOf(r);
+    const key = p ? p.key : projectKey(r.title);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ r, p });
+    return key;
+  });
+
+  const emitted = new Set();
+  const out = [];
+  rows.forEach((r, i) => {
+    const key = info[i];
+    const members = groups.get(key);
+    if (members.length < 2 || !members.some((m) => m.p)) {
+      out.push(r);
+      return;
+    }
+    if (emitted.has(key)) return;
+    emitted.add(key);
+
+    const main = members.find((m) => !m.p) || null;
+    const base = main ? main.r : members[0].r;
+    const children = members.filter((m) => m !== main);
+    const linked = members
+      .map((m) => ({ r: m.r, kind: m.p ? m.p.channel : channelOf(m.r.link) }))
+      .filter((m) => m.r.link);
+    out.push({
+      ...base,
+      title: main ? main.r.title : children.find((m) => m.p).p.name,
+      link: main ? main.r.link : "",
+      description: base.description || children.find((m) => m.r.description)?.r.description || "",
+      categories: union(members.map((m) => m.r.categories)),
+      allCategories: union(members.map((m) => m.r.allCategories || m.r.categories)),
+      channels: linked.map(({ r: c, kind }) => ({ kind, label: CHANNEL_LABELS[kind], url: c.link, title: c.title })),
+      children: children.map((m) => m.r),
+    });
+  });
+  return out;
+}
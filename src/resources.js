@@ -0,0 +1,189 @@
+// Shared CSV → resource normalization.
+// Used by the directory UI and by the Node scripts, so both read the sheet the same way.
+
+import Papa from "papaparse";
+
+export const COLUMNS = {
+  id: ["ID", "Slug"], // stable per-resource id; falls back to the title slug
+  title: ["Name (with url hyperlinked)", "Name", "Title"],
+  link: ["URL", "Link"],
+  description: ["Description", "About"],
+  categories: ["Category"], // used for FILTERS
+  cardCategories: ["Card Categories", "Card categories"], // shown as chips on CARDS
+  hiddenTags: ["Hidden tags", "Hidden Tags", "Search tags", "Search Keywords"],
+  logoUrl: ["Logo URL", "Logo url", "Image URL"],
+  image: ["Logo", "Image"],
+  added: ["Added", "Date added", "Added on"], // optional date the resource was added
+  project: ["Project", "Parent"] // optional project a channel row belongs to (see src/projects.js)
+};
+
+// Columns that may come in per-language copies: the same header plus a language code in
+// parentheses, e.g. "Description (es)" or "Category (es)". Empty cells fall back to English.
+export const TRANSLATABLE = ["title", "description", "categories", "cardCategories"];
+const LANGUAGE_SUFFIX = /^(.+?)\s*\(([a-z]{2}(?:-[a-z]{2})?)\)$/i;
+
+export const slug = (s) =>
+  (s || "")
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)+/g, "");
+
+export const parseList = (val) =>
+  (val || "")
+    .split(/[;,]/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// Hostname of a URL, or "" when it doesn't parse.
+export const hostnameOf = (link) => {
+  try {
+    return new URL(link).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+};
+
+// "YYYY-MM-DD" for anything Date can parse (2024-05-01, 5/1/2024, May 1 2024), else "".
+export function parseDate(val) {
+  const s = String(val || "").trim();
+  if (!s) return "";
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export function resolveColumns(fields, candidatesMap = COLUMNS) {
+  const lowerIndex = new Map(fields.map((f) => [f.toLowerCase().trim(), f]));
+  const pick = (arr) => {
+    for (const name of arr || []) {
+      const found = lowerIndex.get(String(name).toLowerCase());
+      if (found) return found;
+    }
+    return null;
+  };
+  const cols = Object.fromEntries(Object.keys(candidatesMap).map((k) => [k, pick(candidatesMap[k])]));
+  return { ...cols, translations: resolveTranslatedColumns(fields, candidatesMap) };
+}
+
+// { es: { description: "Description (es)", … } } for the per-language columns among `fields`.
+export function resolveTranslatedColumns(fields, candidatesMap = COLUMNS) {
+  const out = {};
+  fields.forEach((f) => {
+    const m = f.trim().match(LANGUAGE_SUFFIX);
+    if (!m) return;
+    const base = m[1].toLowerCase();
+    const key = TRANSLATABLE.find((k) => (candidatesMap[k] || []).some((c) => c.toLowerCase() === base));
+    if (!key) return;
+    const lang = m[2].toLowerCase();
+    out[lang] = out[lang] || {};
+    if (!out[lang][key]) out[lang][key] = f;
+  });
+  return out;
+}
+
+export function normalizeRow(row, cols, i) {
+  const cell = (key) => String((cols[key] && row[cols[key]]) || "").trim();
+
+  const titleRaw = cell("title");
+  const link = cell("link");
+  const title = titleRaw || hostnameOf(link) || `Untitled ${i + 1}`;
+  const description = cell("description");
+
+  const categories = parseList(cell("categories"));
+  const cardCategories = parseList(cell("cardCategories"));
+  const hidden = parseList(cell("hiddenTags"));
+
+  const logoUrl = cell("logoUrl");
+  const legacyLogo = cell("image");
+  const derivedLogo = title ? `/logos/${slug(title)}.png` : "";
+  const image = logoUrl || legacyLogo || derivedLogo;
+
+  const id = slug(cell("id")) || slug(title) || `resource-${i + 1}`;
+  const added = parseDate(cell("added"));
+
+  // Non-empty per-language cells: { es: { description, categories, … } }
+  const translations = {};
+  Object.entries(cols.translations || {}).forEach(([lang, langCols]) => {
+    const t = {};
+    Object.entries(langCols).forEach(([key, header]) => {
+      const val = String(row[header] || "").trim();
+      if (!val) return;
+      t[key] = key === "categories" || key === "cardCategories" ? parseList(val) : val;
+    });
+    if (Object.keys(t).length) translations[lang] = t;
+  });
+
+  return {
+    id,
+    key: id,
+    title,
+    link,
+    description,
+    categories,
+    cardCategories,
+    hiddenTags: hidden,
+    logoUrl: logoUrl || legacyLogo, // explicit logo from the sheet, "" when the path is derived
+    image,
+    added,
+    project: cell("project"),
+    translations,
+  };
+}
+
+// The row with its text in `locale` where the sheet has it. Categories stay in English (they are
+// what filters and URLs use); translated names are display labels, see categoryLabels in i18n.js.
+export function localizeRow(r, locale) {
+  const t = r.translations?.[locale];
+  if (!t) return r;
+  return {
+    ...r,
+    title: t.title || r.title,
+    description: t.description || r.description,
+    cardCategories: t.cardCategories || r.cardCategories,
+  };
+}
+
+// Suffix repeated ids ("-2", "-3", …) so every resource has its own URL, and key rows by id.
+// The first row with an id keeps it; a suffix another row already uses ("foo-2") is skipped.
+export function uniqueIds(rows) {
+  const taken = new Set(rows.map((r) => r.id));
+  const used = new Set();
+  const next = new Map();
+  return rows.map((r) => {
+    let id = r.id;
+    if (used.has(id)) {
+      let n = next.get(r.id) || 2;
+      while (taken.has(`${r.id}-${n}`)) n += 1;
+      id = `${r.id}-${n}`;
+      next.set(r.id, n + 1);
+      taken.add(id);
+    }
+    used.add(id);
+    return { ...r, id, key: id };
+  });
+}
+
+// Parse CSV text into { fields, cols, rows }. Throws when there is no header row.
+export function parseResources(text, candidatesMap = COLUMNS) {
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const fields = parsed.meta?.fields || Object.keys(parsed.data?.[0] || {});
+  if (!fields.length) throw new Error("No header row detected in CSV.");
+  const cols = resolveColumns(fields, candidatesMap);
+  const rows = uniqueIds((parsed.data || []).map((row, i) => normalizeRow(row, cols, i)));
+  return { fields, cols, rows };
+}
+
+// Same as parseResources, for records already keyed by column name (e.g. a JSON export of the sheet).
+export function parseResourceRecords(records, candidatesMap = COLUMNS) {
+  if (!Array.isArray(records)) throw new Error("Expected an array of resource records.");
+  const fields = Array.from(new Set(records.flatMap((r) => Object.keys(r || {}))));
+  if (!fields.length) throw new Error("No fields found in resource records.");
+  const cols = resolveColumns(fields, candidatesMap);
+  const rows = uniqueIds(records.map((row, i) => normalizeRow(row || {}, cols, i)));
+  return { fields, cols, rows };
+}
@@ -0,0 +1,44 @@
+// Minimal pathname router: "/" is the directory, "/r/<slug>" a resource's detail page,
+// "/admin" the moderation view.
+
+import { useEffect, useState } from "react";
+
+export const resourcePath = (id) => `/r/${encodeURIComponent(id)}`;
+
+export function parseRoute(pathname = window.location.pathname) {
+  const m = pathname.match(/^\/r\/([^/]+)\/?$/);
+  if (m) return { name: "resource", slug: decodeURIComponent(m[1]) };
+  if (/^\/admin\/?$/.test(pathname)) return { name: "admin" };
+  return { name: "list" };
+}
+
+// Fired after navigate() changes the URL (pushState doesn't emit popstate).
+export const ROUTE_EVENT = "routechange";
+
+export function navigate(url, { replace = false } = {}) {
+  if (replace) window.history.replaceState(null, "", url);
+  else window.history.pushState(null, "", url);
+  window.dispatchEvent(new Event(ROUTE_EVENT));
+  window.scrollTo(0, 0);
+}
+
+// Click handler for in-app links: lets modified clicks (new tab, etc.) through to the browser.
+export function onLinkClick(e) {
+  if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+  e.preventDefault();
+  navigate(e.currentTarget.getAttribute("href"));
+}
+
+export function useRoute() {
+  const [route, setRoute] = useState(() => parseRoute());
+  useEffect(() => {
+    const update = () => setRoute(parseRoute());
+    window.addEventListener("popstate", update);
+    window.addEventListener(ROUTE_EVENT, update);
+    return () => {
+      window.removeEventListener("popstate", update);
+      window.removeEventListener(ROUTE_EVENT, update);
+    };
+  }, []);
+  return route;
+}
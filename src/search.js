@@ -0,0 +1,111 @@
+// Tokenized, typo-tolerant search over resources.
+// Every query word has to match somewhere; matches in the title outrank categories/tags,
+// which outrank the description. Results come back sorted by score.
+
+const FIELD_WEIGHTS = { title: 3, tags: 2, description: 1 };
+
+export const tokenize = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Levenshtein distance, bailing out early once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// How well a query word matches a document word, 0..1.
+function termQuality(q, word) {
+  if (word === q) return 1;
+  if (word.startsWith(q)) return 0.8;
+  if (q.length >= 3 && word.includes(q)) return 0.6;
+  const allowed = q.length >= 7 ? 2 : q.length >= 4 ? 1 : 0;
+  if (!allowed) return 0;
+  // Compare against the same-length prefix too, so "noun" still finds "nounsvision".
+  const d = Math.min(
+    editDistance(q, word, allowed),
+    editDistance(q, word.slice(0, q.length), allowed)
+  );
+  return d <= allowed ? 0.5 - d * 0.1 : 0;
+}
+
+// A project card (src/projects.js) also matches on its channel rows.
+function fieldsOf(r) {
+  const all = [r, ...(r.children || [])];
+  const text = (pick) => all.map(pick).join(" ");
+  return {
+    title: tokenize(text((x) => x.title)),
+    tags: tokenize(text((x) => [...(x.categories || []), ...(x.cardCategories || []), ...(x.hiddenTags || [])].join(" "))),
+    description: tokenize(text((x) => x.description)),
+  };
+}
+
+// Score one resource. Returns null when some query word doesn't match at all,
+// otherwise { score, words } where `words` are the matched document words (for highlighting).
+export function scoreResource(r, queryTokens) {
+  const fields = fieldsOf(r);
+  const words = new Set();
+  let score = 0;
+  for (const q of queryTokens) {
+    let best = 0;
+    for (const [field, tokens] of Object.entries(fields)) {
+      for (const w of tokens) {
+        const quality = termQuality(q, w);
+        if (!quality) continue;
+        words.add(w);
+        best = Math.max(best, quality * FIELD_WEIGHTS[field]);
+      }
+    }
+    if (!best) return null;
+    score += best;
+  }
+  // Whole phrase in the title beats the same words scattered around.
+  const phrase = queryTokens.join(" ");
+  if (queryTokens.length > 1 && fields.title.join(" ").includes(phrase)) score += FIELD_WEIGHTS.title;
+  return { score, words };
+}
+
+// Filter + rank `rows` by `query`. Returns { rows, words } where `words` maps row.key to matched words.
+export function searchResources(rows, query) {
+  const queryTokens = tokenize(query);
+  if (!queryTokens.length) return { rows, words: new Map() };
+  const scored = [];
+  rows.forEach((r, i) => {
+    const res = scoreResource(r, queryTokens);
+    if (res) scored.push({ r, i, ...res });
+  });
+  scored.sort((a, b) => b.score - a.score || a.i - b.i);
+  return {
+    rows: scored.map((s) => s.r),
+    words: new Map(scored.map((s) => [s.r.key, s.words])),
+  };
+}
+
+// Split `text` into [{ text, match }] parts, marking words found in `words`.
+export function highlightParts(text, words) {
+  const str = String(text || "");
+  if (!words || !words.size) return [{ text: str, match: false }];
+  return str
+    .split(/([A-Za-z0-9\u00C0-\u024F]+)/)
+    .filter((p) => p !== "")
+    .map((p) => {
+      const t = tokenize(p);
+      return { text: p, match: t.length === 1 && words.has(t[0]) };
+    });
+}
@@ -0,0 +1,55 @@
+// Branding from site.config.json at the repo root: name, header title, logo, intro, header links,
+// colours (light and dark), the default theme and the background art. It is bundled at build
+// time, so a fork rebrands by editing that file and the images it points to in public/; keys it
+// leaves out fall back to DEFAULTS. Text can be a string or one per language:
+//   "intro": { "en": "**Nouns** is …", "es": "**Nouns** es …" }
+// Shared by the site, the embed and vite.config.js (page <head>, pre-rendering, feeds).
+
+import config from "../site.config.json";
+
+// Colours are hex; the branding plugin turns them into the CSS variables Tailwind's `brand-*`
+// colours read (see tailwind.config.js).
+const DEFAULTS = {
+  name: "Resources",
+  title: "",
+  description: "",
+  url: "",
+  logo: { src: "", alt: "" },
+  favicon: "",
+  shareImage: "",
+  intro: "",
+  headerLinks: [],
+  theme: "system",
+  colors: {
+    light: { page: "#fafafa", header: "#000000", headerText: "#ffffff", accent: "#000000", accentText: "#ffffff" },
+    dark: { page: "#0a0a0a", header: "#000000", headerText: "#ffffff", accent: "#f5f5f5", accentText: "#0a0a0a" },
+  },
+  stickyHeader: false,
+  openLinksInNewTab: true,
+  art: { breakpoint: 1024, opacity: 0.34, darkOpacity: null, desktop: [], mobile: null },
+};
+
+export function resolveSite(data = {}) {
+  const site = { ...DEFAULTS, ...data };
+  const art = { ...DEFAULTS.art, ...data.art };
+  return {
+    ...site,
+    title: site.title || site.name,
+    logo: { ...DEFAULTS.logo, ...data.logo },
+    favicon: site.favicon || data.logo?.src || "",
+    colors: {
+      light: { ...DEFAULTS.colors.light, ...data.colors?.light },
+      dark: { ...DEFAULTS.colors.dark, ...data.colors?.dark },
+    },
+    // Without a mobile set the desktop one is used; without a dark opacity, the light one.
+    art: { ...art, mobile: art.mobile || art.desktop, darkOpacity: art.darkOpacity ?? art.opacity },
+  };
+}
+
+export const SITE = resolveSite(config);
+
+// A config text in `locale`: its own entry, else English, else the first one given.
+export function siteText(value, locale) {
+  if (!value || typeof value !== "object") return value || "";
+  return value[locale] ?? value.en ?? Object.values(value)[0] ?? "";
+}
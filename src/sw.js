@@ -0,0 +1,113 @@
+/* Service worker. Not bundled: plugins/service-worker.js emits it as /sw.js at build time,
+   prefixed with `self.__SW_VERSION` and `self.__PRECACHE` (app shell, logos, background art).
+
+   - navigations:  network first, cached app shell when offline
+   - data (CSV / JSON / taxonomy / link status / sheet proxy): stale-while-revalidate; if the revalidation fails the page
+     is told via postMessage({ type: "data-from-cache", url, cachedAt })
+   - everything else same-origin: cache first, in a cache per build, so files without a content hash
+     (images, /logos/manifest.json, feeds) are fetched again after each deploy */
+
+const VERSION = self.__SW_VERSION || "dev";
+const PRECACHE = self.__PRECACHE || [];
+const SHELL_CACHE = `nouns-shell-${VERSION}`;
+const RUNTIME_CACHE = `nouns-runtime-${VERSION}`;
+const DATA_CACHE = "nouns-data";
+const CACHED_AT = "x-sw-cached-at";
+
+const isData = (url) =>
+  url.pathname === "/resources.csv" ||
+  url.pathname === "/resources.json" ||
+  url.pathname === "/taxonomy.json" ||
+  url.pathname === "/link-status.json" ||
+  url.pathname.startsWith("/api/sheet-proxy");
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      // One missing file shouldn't fail the whole install.
+      .then((cache) => Promise.all(PRECACHE.map((u) => cache.add(u).catch(() => {}))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            // Earlier builds' caches, and the unversioned runtime cache of older workers.
+            .filter((k) => (k.startsWith("nouns-shell-") || k.startsWith("nouns-runtime")) && k !== SHELL_CACHE && k !== RUNTIME_CACHE)
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Copy of `res` with the time it was cached, so the page can say how old the data is.
+async function stamp(res) {
+  const headers = new Headers(res.headers);
+  headers.set(CACHED_AT, new Date().toISOString());
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+async function notify(clientId, message) {
+  const client = clientId && (await self.clients.get(clientId));
+  if (client) client.postMessage(message);
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(event.request, { ignoreVary: true });
+  const network = fetch(event.request).then(async (res) => {
+    if (res.ok) await cache.put(event.request, await stamp(res.clone()));
+    return res;
+  });
+
+  if (!cached) return network;
+
+  event.waitUntil(
+    network.catch(() =>
+      notify(event.clientId, {
+        type: "data-from-cache",
+        url: event.request.url,
+        cachedAt: cached.headers.get(CACHED_AT),
+      })
+    )
+  );
+  return cached;
+}
+
+async function networkFirstPage(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) (await caches.open(RUNTIME_CACHE)).put(request, res.clone());
+    return res;
+  } catch (e) {
+    const cached = (await caches.match(request)) || (await caches.match("/index.html")) || (await caches.match("/"));
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) (await caches.open(RUNTIME_CACHE)).put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") event.respondWith(networkFirstPage(request));
+  else if (isData(url)) event.respondWith(staleWhileRevalidate(event));
+  else if (!url.pathname.startsWith("/api/")) event.respondWith(cacheFirst(request));
+});
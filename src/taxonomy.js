@@ -0,0 +1,152 @@
+// Category taxonomy from public/taxonomy.json: the declared categories in display order, each
+// with an icon, a short description, aliases (variant spellings in the sheet that mean the same
+// category) and children. A parent's filter also matches rows in any of its children.
+//   { "categories": [{ "name": "Art", "icon": "🎨", "description": "…", "aliases": ["Arts"],
+//                      "translations": { "es": { "name": "Arte", "description": "…" } },
+//                      "children": [{ "name": "Animation", … }] }] }
+// Shared by the site, the API, the build plugins and scripts/validate-csv.js. Without a taxonomy
+// file the rows' own categories are used as they are, sorted A–Z.
+
+import { slug } from "./resources.js";
+
+export const TAXONOMY_URL = "/taxonomy.json";
+
+// The indexed taxonomy, or null when there is none (or it doesn't parse: see the warning).
+export async function loadTaxonomy(url = TAXONOMY_URL) {
+  let data;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return null;
+    data = await res.json();
+  } catch {
+    return null;
+  }
+  try {
+    return buildTaxonomy(data);
+  } catch (e) {
+    console.warn(`${url} ignored:`, e.message);
+    return null;
+  }
+}
+
+// Index the file: `categories` in display order (parents before their children) as
+// { name, slug, icon, description, translations, parent, children, depth }, plus lookups by slug
+// of a name or alias. Throws on a category declared twice or an alias claimed by two categories.
+export function buildTaxonomy(data) {
+  const categories = [];
+  const bySlug = new Map();
+  const aliases = new Map(); // slug of a name or alias → canonical name
+
+  const claim = (key, name) => {
+    if (!key) return;
+    if (aliases.has(key) && aliases.get(key) !== name) {
+      throw new Error(`Taxonomy: "${key}" points to both "${aliases.get(key)}" and "${name}".`);
+    }
+    aliases.set(key, name);
+  };
+
+  const walk = (list, parent, depth) => {
+    (list || []).forEach((c) => {
+      const name = String(c?.name || "").trim();
+      if (!name) throw new Error("Taxonomy: every category needs a name.");
+      const key = slug(name);
+      if (bySlug.has(key)) throw new Error(`Taxonomy: "${name}" is declared twice.`);
+      const entry = {
+        name,
+        slug: key,
+        icon: c.icon || "",
+        description: c.description || "",
+        translations: c.translations || {},
+        parent,
+        children: (c.children || []).map((child) => String(child?.name || "").trim()),
+        depth,
+      };
+      categories.push(entry);
+      bySlug.set(key, entry);
+      claim(key, name);
+      (c.aliases || []).forEach((alias) => claim(slug(alias), name));
+      walk(c.children, name, depth + 1);
+    });
+  };
+
+  walk(data?.categories, null, 0);
+  return { categories, bySlug, aliases };
+}
+
+// The declared name for a category or one of its aliases, or the name unchanged.
+export const canonicalCategory = (name, taxonomy) => (taxonomy && taxonomy.aliases.get(slug(name))) || name;
+
+export const isDeclared = (name, taxonomy) => !!taxonomy && taxonomy.bySlug.has(slug(name));
+
+// Category filters (names or URL slugs) with aliases resolved, so old links like ?c=noc still work.
+export function canonicalFilters(filters, taxonomy) {
+  const resolve = (list) => (list || []).map((c) => canonicalCategory(c, taxonomy));
+  return { ...filters, include: resolve(filters.include), exclude: resolve(filters.exclude) };
+}
+
+// A category and everything above it: "Animation" → ["Animation", "Art"].
+export function withAncestors(name, taxonomy) {
+  const out = [];
+  let entry = taxonomy?.bySlug.get(slug(name));
+  if (!entry) return [name];
+  while (entry) {
+    out.push(entry.name);
+    entry = entry.parent ? taxonomy.bySlug.get(slug(entry.parent)) : null;
+  }
+  return out;
+}
+
+// Rows with their categories under the declared names (aliases resolved, duplicates dropped) and
+// `allCategories`, which adds each category's parents, for the filters. `undeclared` maps each
+// category the taxonomy doesn't know to the ids of the rows using it.
+export function applyTaxonomy(rows, taxonomy) {
+  const undeclared = new Map();
+  if (!taxonomy) return { rows, undeclared };
+  const out = rows.map((r) => {
+    const categories = Array.from(new Set((r.categories || []).map((c) => canonicalCategory(c, taxonomy))));
+    categories.forEach((c) => {
+      if (isDeclared(c, taxonomy)) return;
+      if (!undeclared.has(c)) undeclared.set(c, []);
+      undeclared.get(c).push(r.id);
+    });
+    const allCategories = Array.from(new Set(categories.flatMap((c) => withAncestors(c, taxonomy))));
+    return { ...r, categories, allCategories };
+  });
+  return { rows: out, undeclared };
+}
+
+// Filter options for these rows: declared categories in taxonomy order (a parent is listed when
+// it or one of its children is used), then undeclared ones A–Z. `labelOf` sorts those by their
+// display name.
+export function orderCategories(names, taxonomy, labelOf = (name) => name, locale) {
+  const used = new Set(names.map((n) => slug(n)));
+  const declared = taxonomy
+    ? taxonomy.categories
+        .filter((c) => used.has(c.slug) || hasUsedDescendant(c, taxonomy, used))
+        .map((c) => c.name)
+    : [];
+  const rest = names
+    .filter((n) => !isDeclared(n, taxonomy))
+    .sort((a, b) => labelOf(a).localeCompare(labelOf(b), locale));
+  return [...declared, ...rest];
+}
+
+function hasUsedDescendant(entry, taxonomy, used) {
+  return entry.children.some((name) => {
+    const child = taxonomy.bySlug.get(slug(name));
+    return child && (used.has(child.slug) || hasUsedDescendant(child, taxonomy, used));
+  });
+}
+
+// { label, icon, description, depth } for showing a category in `locale`; `fallbackLabel` is the
+// name from the sheet's "Category (<lang>)" column, if any.
+export function categoryInfo(name, taxonomy, locale, fallbackLabel = "") {
+  const entry = taxonomy?.bySlug.get(slug(name));
+  const t = entry?.translations?.[locale] || {};
+  return {
+    label: t.name || fallbackLabel || name,
+    icon: entry?.icon || "",
+    description: t.description || entry?.description || "",
+    depth: entry?.depth || 0,
+  };
+}
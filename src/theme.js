@@ -0,0 +1,72 @@
+// Colour theme of the site: light, dark or the system setting (the default comes from
+// site.config.json), switched with the toggle in the header and remembered in localStorage.
+// Dark styles are Tailwind `dark:` classes under a `.dark` class on <html>. themeScript sets it
+// before the first paint (plugins/branding.js inlines it into index.html); ThemeProvider keeps it
+// in step after that, including when the system setting changes. The embed has its own `theme`.
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { useMediaQuery } from "./a11y.js";
+import { SITE } from "./site.js";
+
+export const THEME_SYSTEM = "system";
+export const THEME_LIGHT = "light";
+export const THEME_DARK = "dark";
+// In the order the toggle cycles through them.
+export const THEMES = [THEME_SYSTEM, THEME_LIGHT, THEME_DARK];
+
+const STORAGE_KEY = "nouns-directory:theme";
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+const validTheme = (mode) => (THEMES.includes(mode) ? mode : "");
+
+export function readTheme(fallback = SITE.theme) {
+  try {
+    const saved = validTheme(localStorage.getItem(STORAGE_KEY));
+    if (saved) return saved;
+  } catch {}
+  return validTheme(fallback) || THEME_SYSTEM;
+}
+
+function applyTheme(dark) {
+  document.documentElement.classList.toggle("dark", dark);
+  document.documentElement.style.colorScheme = dark ? "dark" : "light";
+}
+
+// readTheme + applyTheme as a standalone script for the page <head>, so a dark page never
+// flashes light while the app loads.
+export function themeScript(fallback = SITE.theme) {
+  const mode = validTheme(fallback) || THEME_SYSTEM;
+  return [
+    "(function(){var m;",
+    `try{m=localStorage.getItem(${JSON.stringify(STORAGE_KEY)})}catch(e){}`,
+    `if(${JSON.stringify(THEMES)}.indexOf(m)<0)m=${JSON.stringify(mode)};`,
+    `var d=m==="${THEME_DARK}"||(m==="${THEME_SYSTEM}"&&!!window.matchMedia&&matchMedia(${JSON.stringify(DARK_QUERY)}).matches);`,
+    'var e=document.documentElement;e.classList.toggle("dark",d);e.style.colorScheme=d?"dark":"light"})();',
+  ].join("");
+}
+
+const ThemeContext = createContext({ mode: THEME_LIGHT, dark: false, setMode: () => {} });
+
+// { mode, dark, setMode }: the chosen theme and whether the page is dark right now.
+export const useTheme = () => useContext(ThemeContext);
+
+export function ThemeProvider({ children }) {
+  const [mode, setModeState] = useState(readTheme);
+  const prefersDark = useMediaQuery(DARK_QUERY);
+  const dark = mode === THEME_DARK || (mode === THEME_SYSTEM && prefersDark);
+
+  const setMode = useCallback((next) => {
+    const value = validTheme(next) || THEME_SYSTEM;
+    try {
+      localStorage.setItem(STORAGE_KEY, value);
+    } catch {
+      // Private mode or storage full: the choice lasts until the page is closed.
+    }
+    setModeState(value);
+  }, []);
+
+  useEffect(() => applyTheme(dark), [dark]);
+
+  const value = useMemo(() => ({ mode, dark, setMode }), [mode, dark, setMode]);
+  return React.createElement(ThemeContext.Provider, { value }, children);
+}
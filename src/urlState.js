@@ -0,0 +1,57 @@
+// Filter state <-> query string, so filtered views can be linked and navigated with back/forward.
+//   ?q=camp&c=governance,auction&x=merchandise&m=all&hide=flagged
+// plus the collection being viewed: ?list=favorites (or a local collection id), or a shared
+// collection carried in the link itself: ?ids=nouns-camp,prop-house&name=Art+kit
+// and the UI language, ?lang=es (see src/i18n.js).
+
+import { MATCH_ALL, MATCH_ANY } from "./filters.js";
+import { slug } from "./resources.js";
+
+const slugList = (val) =>
+  Array.from(
+    new Set(
+      (val || "")
+        .split(",")
+        .map((t) => slug(t))
+        .filter(Boolean)
+    )
+  );
+
+export function readFilterState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return {
+    query: params.get("q") || "",
+    tags: slugList(params.get("c")),
+    excluded: slugList(params.get("x")),
+    mode: params.get("m") === MATCH_ALL ? MATCH_ALL : MATCH_ANY,
+    hideFlagged: params.get("hide") === "flagged",
+    list: slug(params.get("list") || ""),
+    shared: params.has("ids") ? { ids: slugList(params.get("ids")), name: (params.get("name") || "").trim() } : null,
+    lang: slug(params.get("lang") || ""),
+  };
+}
+
+export function filterStateToSearch({ query, tags, excluded, mode, hideFlagged, list, shared, lang }) {
+  const params = new URLSearchParams();
+  if (query && query.trim()) params.set("q", query);
+  if (tags && tags.length) params.set("c", tags.map((t) => slug(t)).join(","));
+  if (excluded && excluded.length) params.set("x", excluded.map((t) => slug(t)).join(","));
+  if (mode === MATCH_ALL) params.set("m", MATCH_ALL);
+  if (hideFlagged) params.set("hide", "flagged");
+  if (shared) {
+    params.set("ids", shared.ids.join(","));
+    if (shared.name) params.set("name", shared.name);
+  } else if (list) params.set("list", list);
+  if (lang) params.set("lang", lang);
+  const s = params.toString().replace(/%2C/gi, ",");
+  return s ? `?${s}` : "";
+}
+
+// Write the state to the address bar. `push` adds a history entry, otherwise the current one is replaced.
+export function writeFilterState(state, { push = false } = {}) {
+  const search = filterStateToSearch(state);
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (push) window.history.pushState(null, "", url);
+  else window.history.replaceState(null, "", url);
+}
@@ -0,0 +1,79 @@
+// Row-level rules for a normalized resource (see resources.js).
+// The CSV validator and anything accepting new resources share these.
+
+export const REQUIRED_COLUMNS = ["title", "link", "description", "categories"];
+
+export function isValidUrl(link) {
+  try {
+    const u = new URL(link);
+    return (u.protocol === "http:" || u.protocol === "https:") && !!u.hostname;
+  } catch {
+    return false;
+  }
+}
+
+// Normalized form used to spot the same URL written two ways.
+export function canonicalUrl(link) {
+  try {
+    const u = new URL(link);
+    const host = u.hostname.toLowerCase().replace(/^www\./, "");
+    const path = u.pathname.replace(/\/+$/, "");
+    return `${host}${path}${u.search}`;
+  } catch {
+    return String(link || "").trim().toLowerCase();
+  }
+}
+
+// Returns a list of { field, code, vars, message } problems; empty when the resource is valid.
+// `code` and `vars` pick the "problem.<code>" string in src/locales for the forms; `message` is
+// the English text the CLI and the API report.
+export function validateResource(r) {
+  const problems = [];
+  if (!String(r.title || "").trim()) problems.push({ field: "title", code: "missingName", message: "Missing name" });
+  if (!String(r.link || "").trim()) {
+    problems.push({ field: "link", code: "missingUrl", message: "Missing URL" });
+  } else if (!isValidUrl(r.link)) {
+    problems.push({ field: "link", code: "invalidUrl", vars: { url: r.link }, message: `Invalid URL "${r.link}"` });
+  }
+  if (!String(r.description || "").trim()) {
+    problems.push({ field: "description", code: "emptyDescription", message: "Empty description" });
+  }
+  if (!(r.categories || []).length) {
+    problems.push({ field: "categories", code: "noCategory", message: "No category" });
+  }
+  return problems;
+}
+
+export const LOGO_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+export const MAX_LOGO_BYTES = 512 * 1024;
+const MAX_FIELD = { title: 80, description: 600, category: 40 };
+
+// Rules for a community submission: the loader's rules plus length limits and an optional logo
+// ({ name, type, size }). New categories count as categories for the "No category" rule.
+export function validateSubmission(s) {
+  const categories = [...(s.categories || []), ...(s.newCategories || [])];
+  const problems = validateResource({ ...s, categories });
+  if (String(s.title || "").length > MAX_FIELD.title) {
+    const vars = { max: MAX_FIELD.title };
+    problems.push({ field: "title", code: "nameTooLong", vars, message: `Name is longer than ${vars.max} characters` });
+  }
+  if (String(s.description || "").length > MAX_FIELD.description) {
+    const vars = { max: MAX_FIELD.description };
+    problems.push({ field: "description", code: "descriptionTooLong", vars, message: `Description is longer than ${vars.max} characters` });
+  }
+  for (const c of [...categories, ...(s.cardCategories || [])]) {
+    if (c.length > MAX_FIELD.category || /[;,]/.test(c)) {
+      problems.push({ field: "categories", code: "invalidCategory", vars: { category: c }, message: `Invalid category "${c}"` });
+    }
+  }
+  if (s.logo) {
+    if (!LOGO_TYPES.includes(s.logo.type)) {
+      problems.push({ field: "logo", code: "logoType", message: "Logo must be a PNG, JPEG, WebP or GIF image" });
+    }
+    if (s.logo.size > MAX_LOGO_BYTES) {
+      const vars = { size: Math.round(MAX_LOGO_BYTES / 1024) };
+      problems.push({ field: "logo", code: "logoSize", vars, message: `Logo is larger than ${vars.size} KB` });
+    }
+  }
+  return problems;
+}
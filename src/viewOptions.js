@@ -0,0 +1,93 @@
+// How the results are shown: sort order and layout, remembered in localStorage between visits.
+
+import { slug } from "./resources.js";
+
+export const SORT_DEFAULT = "default"; // sheet order, or best match while searching
+export const SORT_AZ = "az";
+export const SORT_ADDED = "added";
+export const SORT_POPULAR = "popular";
+
+export const LAYOUT_GRID = "grid";
+export const LAYOUT_LIST = "list";
+export const LAYOUT_GROUPED = "grouped";
+
+// English names; the UI shows the ones in src/locales ("sort.<id>", "layout.<id>").
+export const SORT_LABELS = {
+  [SORT_DEFAULT]: "Default",
+  [SORT_AZ]: "A–Z",
+  [SORT_ADDED]: "Recently added",
+  [SORT_POPULAR]: "Most popular",
+};
+
+export const LAYOUT_LABELS = {
+  [LAYOUT_GRID]: "Grid",
+  [LAYOUT_LIST]: "List",
+  [LAYOUT_GROUPED]: "By category",
+};
+
+const STORAGE_KEY = "nouns-directory:view";
+const DEFAULTS = { sort: SORT_DEFAULT, layout: LAYOUT_GRID };
+
+export function readViewPrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      sort: saved.sort in SORT_LABELS ? saved.sort : DEFAULTS.sort,
+      layout: saved.layout in LAYOUT_LABELS ? saved.layout : DEFAULTS.layout,
+    };
+  } catch {
+    return { ...DEFAULTS };
+  }
+}
+
+export function writeViewPrefs(prefs) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  } catch {
+    // Private mode or storage full: the choice just won't be remembered.
+  }
+}
+
+// Sorted copy of `rows`. Ties (and rows without a date or count) keep their current order.
+// `popularity` maps resource id → click count.
+export function sortResources(rows, sort, { popularity } = {}) {
+  const indexed = rows.map((r, i) => ({ r, i }));
+  let cmp = null;
+  if (sort === SORT_AZ) {
+    cmp = (a, b) => a.r.title.localeCompare(b.r.title, undefined, { sensitivity: "base" });
+  } else if (sort === SORT_ADDED) {
+    cmp = (a, b) => (b.r.added || "").localeCompare(a.r.added || "");
+  } else if (sort === SORT_POPULAR && popularity) {
+    const count = (r) => popularity.get(r.id) || 0;
+    cmp = (a, b) => count(b.r) - count(a.r);
+  }
+  if (!cmp) return rows;
+  return indexed.sort((a, b) => cmp(a, b) || a.i - b.i).map((x) => x.r);
+}
+
+// Sort options that make sense for these rows: "Recently added" needs an Added column,
+// "Most popular" needs click counts.
+export function availableSorts(rows, { popularity } = {}) {
+  return Object.keys(SORT_LABELS).filter((s) => {
+    if (s === SORT_ADDED) return rows.some((r) => r.added);
+    if (s === SORT_POPULAR) return !!(popularity && popularity.size);
+    return true;
+  });
+}
+
+export const UNCATEGORIZED = "Uncategorized";
+
+// One group per tag (in `tags` order) with the rows carrying it; a row can appear in several.
+// Empty groups are dropped; rows without categories are collected at the end.
+export function groupByCategory(rows, tags) {
+  const bySlug = new Map(tags.map((t) => [slug(t), []]));
+  const none = [];
+  rows.forEach((r) => {
+    const cats = r.categories || [];
+    if (!cats.length) none.push(r);
+    cats.forEach((c) => bySlug.get(slug(c))?.push(r));
+  });
+  const groups = tags.map((t) => ({ tag: t, rows: bySlug.get(slug(t)) })).filter((g) => g.rows.length);
+  if (none.length) groups.push({ tag: UNCATEGORIZED, rows: none });
+  return groups;
+}
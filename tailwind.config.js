@@ -1,8 +1,24 @@
 /** @type {import('tailwindcss').Config} */
+const brand = (name) => `rgb(var(--brand-${name}) / <alpha-value>)`;
+
 export default {
-  content: ["./index.html", "./src/**/*.{js,jsx,ts,tsx}"],
+  content: ["./index.html", "./embed.html", "./src/**/*.{js,jsx,ts,tsx}"],
+  // Dark styles apply under a `.dark` ancestor: <html> for the site's theme (src/theme.js), the
+  // widget's root for the embed's theme option.
+  darkMode: "class",
   theme: {
-    extend: {},
+    extend: {
+      // Brand colours from site.config.json, as CSS variables set by plugins/branding.js.
+      colors: {
+        brand: {
+          page: brand("page"),
+          header: brand("header"),
+          "header-text": brand("header-text"),
+          accent: brand("accent"),
+          "accent-text": brand("accent-text"),
+        },
+      },
+    },
   },
   plugins: [],
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+// scripts/check-links.js against a local stub server: no requests leave the machine.
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { checkLink, checkResources } from "../scripts/check-links.js";
+import { LINK_OFFLINE, LINK_OK, LINK_REDIRECT } from "../src/linkHealth.js";
+
+let server;
+let base;
+let seen = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    seen.push(`${req.method} ${req.url}`);
+    if (req.url === "/ok") {
+      res.writeHead(200, { "content-type": "text/html" });
+      res.end("<p>ok</p>");
+    } else if (req.url === "/old") {
+      res.writeHead(301, { location: "/older" });
+      res.end();
+    } else if (req.url === "/older") {
+      res.writeHead(301, { location: `${base}/new` });
+      res.end();
+    } else if (req.url === "/new") {
+      res.writeHead(200);
+      res.end("moved");
+    } else if (req.url === "/get-only") {
+      res.writeHead(req.method === "HEAD" ? 405 : 200);
+      res.end();
+    } else if (req.url === "/slow") {
+      // Never answers.
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  seen = [];
+});
+
+describe("checkLink", () => {
+  it("reports a 200 as ok, with a HEAD request only", async () => {
+    const r = await checkLink(`${base}/ok`);
+    assert.equal(r.status, LINK_OK);
+    assert.equal(r.code, 200);
+    assert.deepEqual(r.redirects, []);
+    assert.deepEqual(seen, ["HEAD /ok"]);
+  });
+
+  it("follows a 301 chain and records every hop", async () => {
+    const r = await checkLink(`${base}/old`);
+    assert.equal(r.status, LINK_REDIRECT);
+    assert.equal(r.finalUrl, `${base}/new`);
+    assert.deepEqual(r.redirects, [
+      { code: 301, to: `${base}/older` },
+      { code: 301, to: `${base}/new` },
+    ]);
+  });
+
+  it("flags a 404 as offline", async () => {
+    const r = await checkLink(`${base}/gone`);
+    assert.equal(r.status, LINK_OFFLINE);
+    assert.equal(r.code, 404);
+    assert.equal(r.error, "HTTP 404");
+  });
+
+  it("flags a server that doesn't answer in time as offline", async () => {
+    const r = await checkLink(`${base}/slow`, { timeoutMs: 200 });
+    assert.equal(r.status, LINK_OFFLINE);
+    assert.equal(r.error, "Timed out");
+  });
+
+  it("falls back to GET when HEAD is refused", async () => {
+    const r = await checkLink(`${base}/get-only`);
+    assert.equal(r.status, LINK_OK);
+    assert.deepEqual(seen, ["HEAD /get-only", "GET /get-only"]);
+  });
+});
+
+describe("checkResources", () => {
+  it("checks a URL shared by several rows once and reports it for each", async () => {
+    const rows = [
+      { id: "a", title: "A", link: `${base}/ok` },
+      { id: "b", title: "B", link: `${base}/ok` },
+      { id: "c", title: "C", link: "" },
+    ];
+    const results = await checkResources(rows, { concurrency: 2 });
+    assert.deepEqual(Object.keys(results), ["a", "b"]);
+    assert.equal(results.b.status, LINK_OK);
+    assert.deepEqual(seen, ["HEAD /ok"]);
+  });
+});
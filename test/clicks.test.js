@@ -0,0 +1,70 @@
+// Click counts (api/_lib/clicks.js) and the store's updateJson under concurrent beacons.
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import handler from "../api/clicks.js";
+import { clickStats, recordClick } from "../api/_lib/clicks.js";
+import { getStore, setStore } from "../api/_lib/store.js";
+
+const NOW = new Date("2026-03-02T12:00:00Z");
+
+function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: "" };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (data) => ((res.body = JSON.stringify(data)), res);
+  res.end = () => res;
+  res.setHeader = (k, v) => (res.headers[k.toLowerCase()] = v);
+  return res;
+}
+
+describe("recordClick", () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "clicks-"));
+  });
+  after(async () => {
+    setStore(null);
+    delete process.env.STORE_DRIVER;
+    delete process.env.STORE_DIR;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  for (const driver of ["memory", "file"]) {
+    it(`counts every one of many simultaneous clicks (${driver} store)`, async () => {
+      setStore(null);
+      process.env.STORE_DRIVER = driver;
+      process.env.STORE_DIR = dir;
+      const store = getStore();
+      await Promise.all(Array.from({ length: 40 }, (_, i) => recordClick(i % 2 ? "a" : "b", NOW, store)));
+      const { popular } = await clickStats(NOW, store);
+      assert.deepEqual(popular, { a: 20, b: 20 });
+    });
+  }
+});
+
+describe("/api/clicks", () => {
+  before(() => {
+    setStore(null);
+    process.env.STORE_DRIVER = "memory";
+  });
+  after(() => {
+    setStore(null);
+    delete process.env.STORE_DRIVER;
+  });
+
+  it("counts a click on a resource in the directory", async () => {
+    const res = mockRes();
+    await handler({ method: "POST", headers: {}, body: { id: "nouns-world" } }, res);
+    assert.equal(res.statusCode, 204);
+    assert.equal((await clickStats()).popular["nouns-world"], 1);
+  });
+
+  it("rejects ids the directory doesn't have", async () => {
+    const res = mockRes();
+    await handler({ method: "POST", headers: {}, body: { id: "not-a-resource" } }, res);
+    assert.equal(res.statusCode, 400);
+  });
+});
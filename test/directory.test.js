@@ -0,0 +1,127 @@
+// The public API's loader (api/_lib/directory.js): the site's data sources run server side, and
+// absolute URLs that never come from the request.
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import resourcesHandler from "../api/resources/index.js";
+import { serverDataConfig, serverIo, siteOrigin } from "../api/_lib/directory.js";
+import { DataSourceError, loadDirectory, loadResources } from "../src/dataSources.js";
+
+const CSV =
+  "Name,URL,Description,Category,Description (es)\n" +
+  "Gnars DAO,https://gnars.com,Skate,Projects,Patinaje\n" +
+  "Gnars on X,https://x.com/gnars,,Projects,\n";
+
+let server;
+let base;
+let requests = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests += 1;
+    if (req.url === "/sheet.csv") {
+      res.writeHead(200, { "content-type": "text/csv" });
+      res.end(CSV);
+    } else if (req.url === "/resources.json") {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ resources: [{ Name: "Nouns", URL: "https://nouns.wtf", Category: "Auction" }] }));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const load = (env) => loadDirectory(serverDataConfig(env), serverIo(env));
+
+describe("server-side data sources", () => {
+  it("reads a sheet directly", async () => {
+    const env = {
+      VITE_DATA_SOURCE: "sheet",
+      VITE_SHEET_CSV_URL: `${base}/sheet.csv`,
+      SHEET_PROXY_ALLOWED_HOSTS: "127.0.0.1",
+      SHEET_PROXY_ALLOW_PRIVATE: "1",
+    };
+    const res = await load(env);
+    assert.equal(res.source, "sheet");
+    assert.deepEqual(res.rows.map((r) => r.id), ["gnars-dao", "gnars-on-x"]);
+    assert.equal(res.rows[0].translations.es.description, "Patinaje");
+  });
+
+  it("reads a JSON source from its own host", async () => {
+    const env = {
+      VITE_DATA_SOURCE: "json",
+      VITE_RESOURCES_JSON_URL: `${base}/resources.json`,
+      SHEET_PROXY_ALLOWED_HOSTS: "docs.google.com",
+      SHEET_PROXY_ALLOW_PRIVATE: "1",
+    };
+    const res = await load(env);
+    assert.equal(res.source, "json");
+    assert.deepEqual(res.rows.map((r) => r.id), ["nouns"]);
+  });
+
+  it("falls back to the bundled CSV when the source fails", async () => {
+    const env = { VITE_DATA_SOURCE: "sheet", VITE_SHEET_CSV_URL: `${base}/missing.csv`, SHEET_PROXY_ALLOW_PRIVATE: "1" };
+    const res = await load({ ...env, SHEET_PROXY_ALLOWED_HOSTS: "127.0.0.1" });
+    assert.equal(res.source, "csv");
+    assert.ok(res.fallbackError);
+    assert.ok(res.rows.length > 0);
+  });
+
+  it("falls back to the bundled CSV when a source answers with the wrong shape", async () => {
+    const config = {
+      csvUrl: "/resources.csv",
+      sheetCsvUrl: "https://docs.google.com/sheet.csv",
+      proxyUrl: "/api/sheet-proxy",
+      jsonUrl: "/resources.json",
+    };
+    for (const [source, body] of [
+      ["sheet", '{"error":"Upstream failed"}'],
+      ["sheet", '{"fields":[],"rows":[null]}'],
+      ["json", "null"],
+      ["json", '{"error":"Not found"}'],
+    ]) {
+      const readText = async (url) => (url === config.csvUrl ? CSV : body);
+      const res = await loadResources({ ...config, source }, { readText, readTaxonomy: async () => null });
+      assert.equal(res.source, "csv", `${source} ${body}`);
+      assert.ok(res.fallbackError instanceof DataSourceError);
+      assert.equal(res.rows.length, 2);
+    }
+  });
+
+  it("only reads site paths from public/", async () => {
+    await assert.rejects(serverIo({}).readText("/../package.json"), /not in public/);
+  });
+});
+
+// Just enough of Vercel's (req, res) for the handler.
+function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: "" };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.send = (body) => ((res.body = String(body)), res);
+  res.json = (data) => res.send(JSON.stringify(data));
+  res.end = () => res;
+  res.setHeader = (k, v) => (res.headers[k.toLowerCase()] = v);
+  return res;
+}
+
+describe("/api/resources", () => {
+  it("builds URLs from the site's own origin, whatever the Host header says", async () => {
+    const seen = requests;
+    const res = mockRes();
+    const headers = { host: "evil.example", "x-forwarded-host": "evil.example" };
+    await resourcesHandler({ method: "GET", url: "/api/resources?per_page=1", query: { per_page: "1" }, headers }, res);
+    assert.equal(res.statusCode, 200);
+    const { resources } = JSON.parse(res.body);
+    assert.ok(resources[0].page.startsWith(`${siteOrigin()}/r/`));
+    assert.doesNotMatch(res.body, /evil\.example/);
+    assert.equal(requests, seen);
+  });
+});
@@ -0,0 +1,132 @@
+// Moderation actions (api/_lib/moderation.js) and moderator sign-in (api/_lib/auth.js).
+import assert from "node:assert/strict";
+import { after, beforeEach, describe, it } from "node:test";
+import { requireModerator } from "../api/_lib/auth.js";
+import { ModerationError, exportCsv, loadDraft, readAudit, runAction } from "../api/_lib/moderation.js";
+import { setStore } from "../api/_lib/store.js";
+import { addSubmission, listSubmissions } from "../api/_lib/submissions.js";
+import { parseResources } from "../src/resources.js";
+
+const ALICE = { name: "Alice", verified: true };
+const SUBMISSION = {
+  title: "Nouns Camp",
+  link: "https://nouns.camp",
+  description: "A governance client.",
+  categories: ["Governance"],
+  newCategories: [],
+  cardCategories: [],
+};
+
+
+beforeEach(() => {
+  setStore(null);
+  process.env.STORE_DRIVER = "memory";
+});
+
+after(() => {
+  setStore(null);
+  delete process.env.STORE_DRIVER;
+});
+
+const rejected = (status, message) => (e) => e instanceof ModerationError && e.status === status && message.test(e.message);
+
+describe("runAction", () => {
+  it("approves a submission into the draft", async () => {
+    const sub = await addSubmission(SUBMISSION, null);
+    const before = (await loadDraft()).records.length;
+    await runAction(ALICE, "approve", { id: sub.id, changes: { title: "Camp" } });
+    const draft = await loadDraft();
+    assert.equal(draft.records.length, before + 1);
+    assert.equal(draft.records.at(-1).Name, "Camp");
+    assert.equal((await listSubmissions())[0].status, "approved");
+    assert.deepEqual((await readAudit()).map((a) => [a.who, a.verified, a.action]), [["Alice", true, "approve"]]);
+  });
+
+  it("rejects an approval that would add an invalid row, and changes nothing", async () => {
+    const sub = await addSubmission(SUBMISSION, null);
+    const before = (await loadDraft()).records.length;
+    await assert.rejects(runAction(ALICE, "approve", { id: sub.id, changes: { link: "javascript:alert(1)" } }), rejected(400, /Invalid URL/));
+    await assert.rejects(runAction(ALICE, "approve", { id: sub.id, changes: { title: ["x"] } }), rejected(400, /must be a string/));
+    assert.equal((await loadDraft()).records.length, before);
+    assert.equal((await listSubmissions())[0].status, "pending");
+    assert.deepEqual(await readAudit(), []);
+  });
+
+  it("checks edits to a queued submission", async () => {
+    const sub = await addSubmission(SUBMISSION, null);
+    await assert.rejects(runAction(ALICE, "edit-submission", { id: sub.id, changes: { categories: "Learn" } }), rejected(400, /list of strings/));
+    await assert.rejects(runAction(ALICE, "edit-submission", { id: sub.id, changes: { title: "" } }), rejected(400, /Missing name/));
+    await runAction(ALICE, "edit-submission", { id: sub.id, changes: { categories: ["Learn"] } });
+    assert.deepEqual((await listSubmissions())[0].categories, ["Learn"]);
+  });
+
+  it("checks the edited fields of a draft row", async () => {
+    const [first] = (await loadDraft()).records;
+    await assert.rejects(runAction(ALICE, "edit", { rid: first._rid, changes: { link: "not a url" } }), rejected(400, /Invalid URL/));
+    await runAction(ALICE, "edit", { rid: first._rid, changes: { description: "Updated." } });
+    assert.equal((await loadDraft()).records[0].Description, "Updated.");
+  });
+});
+
+describe("exportCsv", () => {
+  it("exports cells unchanged, so the site reads back what the draft holds", () => {
+    const draft = {
+      fields: ["Name", "URL", "Description", "Category"],
+      records: [
+        { Name: "@nouns", URL: "https://x.com/nouns", Description: "-", Category: "Social" },
+        { Name: "Plus One", URL: "https://plus.one", Description: "+1 for Nouns", Category: "Art" },
+      ],
+    };
+    const { rows } = parseResources(exportCsv(draft));
+    assert.deepEqual(
+      rows.map((r) => [r.title, r.link, r.description]),
+      [
+        ["@nouns", "https://x.com/nouns", "-"],
+        ["Plus One", "https://plus.one", "+1 for Nouns"],
+      ]
+    );
+  });
+
+  it("defuses cells a spreadsheet would run as formulas in the spreadsheet copy", () => {
+    const csv = exportCsv(
+      {
+        fields: ["Name", "URL"],
+        records: [
+          { Name: "=HYPERLINK(\"http://evil\")", URL: "+1" },
+          { Name: "@SUM(A1)", URL: "-2" },
+          { Name: "\tTab", URL: "Plain" },
+        ],
+      },
+      { spreadsheet: true }
+    );
+    assert.deepEqual(csv.split("\r\n"), ["Name,URL", `"'=HYPERLINK(""http://evil"")",'+1`, "'@SUM(A1),'-2", "'\tTab,Plain"]);
+  });
+});
+
+describe("requireModerator", () => {
+  const mockRes = () => {
+    const res = { statusCode: 200 };
+    res.status = (code) => ((res.statusCode = code), res);
+    res.json = () => res;
+    return res;
+  };
+  const ask = (env, who, password) => {
+    const res = mockRes();
+    const req = { headers: { authorization: `Bearer ${password}`, "x-moderator": who } };
+    return { who: requireModerator(req, res, env), status: res.statusCode };
+  };
+
+  it("verifies names with per-moderator passwords", () => {
+    const env = { MODERATORS: "Alice:a-secret,Bob:b:secret", ADMIN_PASSWORD: "shared" };
+    assert.deepEqual(ask(env, "alice", "a-secret").who, { name: "Alice", verified: true });
+    assert.deepEqual(ask(env, "Bob", "b:secret").who, { name: "Bob", verified: true });
+    assert.equal(ask(env, "Bob", "a-secret").status, 401);
+    assert.equal(ask(env, "Mallory", "shared").status, 401);
+  });
+
+  it("marks names as unverified with the shared password", () => {
+    assert.deepEqual(ask({ ADMIN_PASSWORD: "shared" }, "Carol", "shared").who, { name: "Carol", verified: false });
+    assert.equal(ask({ ADMIN_PASSWORD: "shared" }, "Carol", "nope").status, 401);
+    assert.equal(ask({}, "Carol", "shared").status, 503);
+  });
+});
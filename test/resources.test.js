@@ -0,0 +1,21 @@
+// Row normalization from src/resources.js.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { uniqueIds } from "../src/resources.js";
+
+const ids = (list) => uniqueIds(list.map((id) => ({ id }))).map((r) => r.id);
+
+describe("uniqueIds", () => {
+  it("suffixes repeated ids", () => {
+    assert.deepEqual(ids(["foo", "foo", "foo", "bar"]), ["foo", "foo-2", "foo-3", "bar"]);
+  });
+
+  it("skips suffixes another row already uses", () => {
+    assert.deepEqual(ids(["foo", "foo", "foo-2"]), ["foo", "foo-3", "foo-2"]);
+    assert.deepEqual(ids(["foo-2", "foo", "foo", "foo"]), ["foo-2", "foo", "foo-3", "foo-4"]);
+  });
+
+  it("keys rows by their id", () => {
+    assert.deepEqual(uniqueIds([{ id: "a" }, { id: "a" }]).map((r) => r.key), ["a", "a-2"]);
+  });
+});
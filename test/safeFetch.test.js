@@ -0,0 +1,176 @@
+// safeFetch and /api/sheet-proxy against a local stub upstream on 127.0.0.1.
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import handler from "../api/sheet-proxy.js";
+import { FetchRejected, isPrivateAddress, safeFetch } from "../api/_lib/safeFetch.js";
+
+const CSV = "Name,URL,Description,Category\nNouns,https://nouns.wtf,Auctions,Auction\n";
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/sheet.csv") {
+      res.writeHead(200, { "content-type": "text/csv" });
+      res.end(CSV);
+    } else if (req.url === "/page") {
+      res.writeHead(200, { "content-type": "text/html" });
+      res.end("<!doctype html><p>Sign in</p>");
+    } else if (req.url === "/big") {
+      res.writeHead(200, { "content-type": "text/csv" });
+      res.write("x".repeat(600));
+      res.end("x".repeat(600));
+    } else if (req.url === "/empty") {
+      res.writeHead(204);
+      res.end();
+    } else if (req.url === "/redirect-out") {
+      res.writeHead(302, { location: "https://evil.example/sheet.csv" });
+      res.end();
+    } else if (req.url === "/slow") {
+      // Never answers; the client's timeout has to end it.
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const config = (overrides = {}) => ({
+  allowedHosts: ["127.0.0.1", "stub.test"],
+  maxBytes: 1024,
+  timeoutMs: 300,
+  maxRedirects: 3,
+  allowPrivate: true,
+  ...overrides,
+});
+
+const rejectedWith = (status) => (e) => e instanceof FetchRejected && e.status === status;
+
+describe("isPrivateAddress", () => {
+  it("judges IPv6 addresses that carry an IPv4 one by that address", () => {
+    const embedded = ["::ffff:127.0.0.1", "::ffff:7f00:1", "::ffff:a9fe:a9fe", "::ffff:0:a00:1", "::7f00:1", "64:ff9b::7f00:1", "64:ff9b::10.0.0.1", "2002:7f00:1::", "2002:c0a8:101::1"];
+    for (const ip of embedded) assert.equal(isPrivateAddress(ip), true, ip);
+    for (const ip of ["::ffff:808:808", "::ffff:8.8.8.8", "64:ff9b::808:808", "2002:808:808::1"]) assert.equal(isPrivateAddress(ip), false, ip);
+  });
+
+  it("rejects non-public IPv6 ranges and allows public ones", () => {
+    for (const ip of ["::", "::1", "fd00::1", "fe80::1%eth0", "ff02::1", "2001::1", "2001:db8::1", "64:ff9b:1::1"]) assert.equal(isPrivateAddress(ip), true, ip);
+    for (const ip of ["2606:4700::1111", "2001:4860:4860::8888"]) assert.equal(isPrivateAddress(ip), false, ip);
+  });
+});
+
+describe("safeFetch", () => {
+  it("fetches from an allowlisted host", async () => {
+    const r = await safeFetch(`${base}/sheet.csv`, config());
+    assert.equal(r.status, 200);
+    assert.equal(r.contentType, "text/csv");
+    assert.equal(r.text, CSV);
+  });
+
+  it("rejects a host that isn't allowlisted", async () => {
+    await assert.rejects(safeFetch("https://example.com/sheet.csv", config()), rejectedWith(403));
+  });
+
+  it("rejects a redirect to a host that isn't allowlisted", async () => {
+    await assert.rejects(safeFetch(`${base}/redirect-out`, config()), rejectedWith(403));
+  });
+
+  it("rejects a private IP address", async () => {
+    const port = new URL(base).port;
+    await assert.rejects(safeFetch(`https://127.0.0.1:${port}/sheet.csv`, config({ allowPrivate: false })), rejectedWith(403));
+  });
+
+  it("rejects an IPv4-mapped IPv6 address, which the URL parser writes in hex", async () => {
+    const port = new URL(base).port;
+    await assert.rejects(
+      safeFetch(`https://[::ffff:127.0.0.1]:${port}/sheet.csv`, config({ allowPrivate: false, allowedHosts: ["[::ffff:7f00:1]"] })),
+      (e) => rejectedWith(403)(e) && /address not allowed/.test(e.message)
+    );
+  });
+
+  it("rejects a hostname that resolves to a private address when connecting", async () => {
+    const lookup = async () => [{ address: "127.0.0.1", family: 4 }];
+    const port = new URL(base).port;
+    await assert.rejects(
+      safeFetch(`https://stub.test:${port}/sheet.csv`, config({ allowPrivate: false, lookup })),
+      rejectedWith(403)
+    );
+  });
+
+  it("connects to the address it vetted", async () => {
+    // stub.test exists only in this lookup, so reaching the stub proves the socket used it.
+    const lookup = async () => [{ address: "127.0.0.1", family: 4 }];
+    const r = await safeFetch(`${base.replace("127.0.0.1", "stub.test")}/sheet.csv`, config({ lookup }));
+    assert.equal(r.text, CSV);
+  });
+
+  it("stops at the size cap", async () => {
+    await assert.rejects(safeFetch(`${base}/big`, config()), rejectedWith(502));
+  });
+
+  it("times out a slow upstream", async () => {
+    await assert.rejects(safeFetch(`${base}/slow`, config()), rejectedWith(504));
+  });
+
+  it("reads a response without a body as empty", async () => {
+    const r = await safeFetch(`${base}/empty`, config());
+    assert.equal(r.status, 204);
+    assert.equal(r.text, "");
+  });
+});
+
+// Just enough of Vercel's (req, res) for the handler.
+function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: "" };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.send = (body) => ((res.body = String(body)), res);
+  res.setHeader = (k, v) => (res.headers[k.toLowerCase()] = v);
+  return res;
+}
+
+describe("/api/sheet-proxy", () => {
+  before(() => {
+    process.env.SHEET_PROXY_ALLOWED_HOSTS = "127.0.0.1";
+    process.env.SHEET_PROXY_ALLOW_PRIVATE = "1";
+  });
+  after(() => {
+    delete process.env.SHEET_PROXY_ALLOWED_HOSTS;
+    delete process.env.SHEET_PROXY_ALLOW_PRIVATE;
+  });
+
+  it("passes the CSV through", async () => {
+    const res = mockRes();
+    await handler({ query: { url: `${base}/sheet.csv` } }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body, CSV);
+  });
+
+  it("normalizes rows with format=json", async () => {
+    const res = mockRes();
+    await handler({ query: { url: `${base}/sheet.csv`, format: "json" } }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(res.body).rows[0].title, "Nouns");
+  });
+
+  it("rejects an upstream that isn't CSV", async () => {
+    const res = mockRes();
+    await handler({ query: { url: `${base}/page` } }, res);
+    assert.equal(res.statusCode, 502);
+    assert.match(res.body, /did not return CSV/);
+  });
+
+  it("rejects a host that isn't allowlisted", async () => {
+    const res = mockRes();
+    await handler({ query: { url: "https://example.com/sheet.csv" } }, res);
+    assert.equal(res.statusCode, 403);
+  });
+});
@@ -0,0 +1,81 @@
+// /api/submit-resource and the moderation queue (api/_lib/submissions.js) on a memory store.
+import assert from "node:assert/strict";
+import { after, beforeEach, describe, it } from "node:test";
+import handler from "../api/submit-resource.js";
+import { getStore, setStore } from "../api/_lib/store.js";
+import { addSubmission, listSubmissions } from "../api/_lib/submissions.js";
+
+const SUBMISSION = {
+  title: "Nouns Camp",
+  link: "https://nouns.camp",
+  description: "A governance client.",
+  categories: ["Governance"],
+};
+
+function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (data) => ((res.body = data), res);
+  res.setHeader = (k, v) => (res.headers[k.toLowerCase()] = v);
+  return res;
+}
+
+const post = async (body, ip = "203.0.113.7") => {
+  const res = mockRes();
+  await handler({ method: "POST", headers: { "x-forwarded-for": ip }, body }, res);
+  return res;
+};
+
+beforeEach(() => {
+  setStore(null);
+  process.env.STORE_DRIVER = "memory";
+});
+
+after(() => {
+  setStore(null);
+  delete process.env.STORE_DRIVER;
+});
+
+describe("addSubmission", () => {
+  it("keeps every one of many simultaneous submissions", async () => {
+    const store = getStore();
+    await Promise.all(Array.from({ length: 20 }, (_, i) => addSubmission({ title: `R${i}` }, null, store)));
+    assert.equal((await listSubmissions(store)).length, 20);
+  });
+});
+
+describe("/api/submit-resource", () => {
+  it("queues a valid submission", async () => {
+    const res = await post(SUBMISSION);
+    assert.equal(res.statusCode, 201);
+    const [saved] = await listSubmissions();
+    assert.equal(saved.status, "pending");
+    assert.deepEqual(saved.categories, ["Governance"]);
+  });
+
+  it("resolves aliases and turns unknown categories into proposals", async () => {
+    const res = await post({ ...SUBMISSION, categories: ["education", "Made Up"], newCategories: ["Robots"] });
+    assert.equal(res.statusCode, 201);
+    const [saved] = await listSubmissions();
+    assert.deepEqual(saved.categories, ["Learn"]);
+    assert.deepEqual(saved.newCategories, ["Robots", "Made Up"]);
+  });
+
+  it("answers 400 to a body that isn't a JSON object", async () => {
+    for (const [i, body] of [null, "null", "[]", "42", [], 42].entries()) {
+      const res = await post(body, `192.0.2.${i + 1}`);
+      assert.equal(res.statusCode, 400, JSON.stringify(body));
+      assert.equal(res.body.error, "Expected a JSON object");
+    }
+    assert.equal((await post("{not json", "192.0.2.10")).statusCode, 400);
+    assert.deepEqual(await listSubmissions(), []);
+  });
+
+  it("limits submissions per IP", async () => {
+    for (let i = 0; i < 5; i += 1) assert.equal((await post(SUBMISSION)).statusCode, 201);
+    const res = await post(SUBMISSION);
+    assert.equal(res.statusCode, 429);
+    assert.ok(Number(res.headers["retry-after"]) > 0);
+    assert.equal((await post(SUBMISSION, "198.51.100.2")).statusCode, 201);
+  });
+});
@@ -1,6 +1,42 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import branding from "./plugins/branding.js";
+import feeds from "./plugins/feeds.js";
+import logos from "./plugins/logos.js";
+import prerender from "./plugins/prerender.js";
+import serviceWorker from "./plugins/service-worker.js";
+import taxonomy from "./plugins/taxonomy.js";
+import { SITE } from "./src/site.js";
+
+const siteUrl = process.env.SITE_URL || SITE.url;
+const siteName = SITE.name;
 
 export default defineConfig({
-  plugins: [react()],
-});
\ No newline at end of file
+  plugins: [
+    react(),
+    branding({ site: SITE }),
+    taxonomy(),
+    logos(),
+    prerender({ siteUrl, siteName, description: SITE.description, shareImage: SITE.shareImage || undefined }),
+    feeds({ siteUrl, siteName }),
+    serviceWorker({ files: [SITE.logo.src, SITE.favicon] }),
+  ],
+  build: {
+    rollupOptions: {
+      // The site, the embeddable widget page, and the <nouns-resources> loader at a stable /embed.js.
+      input: {
+        main: "index.html",
+        embed: "embed.html",
+        "embed-loader": "src/embedLoader.js",
+      },
+      output: {
+        entryFileNames: (chunk) => (chunk.name === "embed-loader" ? "embed.js" : "assets/[name]-[hash].js"),
+        // React and the CSV parser in chunks of their own, shared (and cached) between the site and
+        // the widget. App code the widget doesn't import (collections, the submit form, the admin
+        // view) stays in the site's chunks.
+        manualChunks: (id) =>
+          /node_modules\/(react|react-dom|scheduler)\//.test(id) ? "react" : id.includes("node_modules") ? "vendor" : undefined,
+      },
+    },
+  },
+});